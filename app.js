@@ -12,12 +12,10 @@ const logger = require("morgan");
 
 const indexRouter = require("./routes/index");
 const victoryRouter = require("./routes/victory");
+const ballRouter = require("./routes/ball");
 const soundscapeRouter = require("./routes/soundscape");
-const singularityRouter = require("./routes/singularity");
-const goodluckRouter = require("./routes/goodluck");
-const gravytrainRouter = require("./routes/gravytrain");
-const whiplashRouter = require("./routes/whiplash");
-const cotlRouter = require("./routes/cotl");
+const tracksRouter = require("./routes/tracks");
+const apiRouter = require("./routes/api");
 
 const app = express();
 
@@ -39,11 +37,10 @@ app.use(express.static(path.join(__dirname, "public")));
 app.use("/", indexRouter);
 app.use("/soundscape", soundscapeRouter);
 app.use("/victory", victoryRouter);
-app.use("/singularity", singularityRouter);
-app.use("/goodluck", goodluckRouter);
-app.use("/gravytrain", gravytrainRouter);
-app.use("/whiplash", whiplashRouter);
-app.use("/cotl", cotlRouter);
+app.use("/ball", ballRouter);
+app.use("/api", apiRouter);
+// One page per entry in catalog/tracks.json
+app.use("/", tracksRouter);
 
 app.get("/becausewhynot", (req, res) => res.render("index"));
 
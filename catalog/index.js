@@ -0,0 +1,91 @@
+/**
+ * catalog/index.js
+ * Track catalog: loads catalog/tracks.json, validates it and fills in defaults.
+ *
+ * Each entry describes one Soundscape3 release page. Adding a release is a
+ * matter of appending an entry to tracks.json; app.js registers the route and
+ * the build renders the static page from the same data.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+const { z } = require("zod");
+const raw = require("./tracks.json");
+
+/** Custom palette registered by the page at boot (see registerPalette in Soundscape3/Utility.js). */
+const PaletteSchema = z.object({
+  label: z.string().optional(),
+  base: z.string(),
+  glow: z.string(),
+  line: z.string(),
+  bgTop: z.string(),
+  bgBot: z.string(),
+});
+
+/** Layer types the pages register (see the registerLayer() calls in public/javascripts/Soundscape3). */
+const LAYER_TYPES = ["starfield", "mesh", "ring", "ribbon"];
+
+/** One layer stack entry: a type, or {type, id?, ...options}. */
+const LayerSpecSchema = z
+  .union([z.string(), z.object({ type: z.string() }).passthrough()])
+  .superRefine((spec, ctx) => {
+    const type = typeof spec === "string" ? spec : spec.type;
+    if (!LAYER_TYPES.includes(type))
+      ctx.addIssue({ code: "custom", message: `unknown layer type "${type}" (have ${LAYER_TYPES.join(", ")})` });
+  });
+
+/** Schema for a single catalog entry (defaults applied on parse). */
+const TrackSchema = z
+  .object({
+    /** URL segment, e.g. "whiplash" -> /whiplash */
+    slug: z.string().regex(/^[a-z0-9][a-z0-9-]*$/, "slug must be lowercase kebab-case"),
+    artist: z.string().min(1).default("DJ Stomp"),
+    title: z.string().min(1),
+    /** Audio URL loaded into #player */
+    audio: z.string().min(1),
+    /** Palette key applied at boot (built-in or one of `palettes`) */
+    palette: z.string().min(1).default("synth"),
+    /** Extra palettes for this page, keyed by id */
+    palettes: z.record(z.string(), PaletteSchema).default({}),
+    /** STL used as the morph target when `config.shapes.list` does not name any shapes */
+    stl: z.string().min(1).default("/spikeball.stl"),
+    volume: z.number().min(0).max(1).default(1),
+    autoplay: z.boolean().default(false),
+    /** Show the rotation/distortion/reactivity/geometry/bloom rows */
+    tweaks: z.boolean().default(false),
+    /** Per-section Config overrides, e.g. { "bloom": { "strength": 0.6 } } */
+    config: z.record(z.string(), z.record(z.string(), z.unknown())).default({}),
+    /** Scene layer stack, e.g. ["starfield", "mesh", "ring"]; empty = the page default (see Layers.js) */
+    layers: z.array(LayerSpecSchema).default([]),
+  })
+  .transform((t) => ({
+    ...t,
+    /** <title> of the page */
+    pageTitle: `${t.artist} | ${t.title}`,
+    /** Footer / file label */
+    label: `${t.artist} - ${t.title}`,
+  }));
+
+const CatalogSchema = z.array(TrackSchema).superRefine((tracks, ctx) => {
+  const seen = new Set();
+  tracks.forEach((t, i) => {
+    if (seen.has(t.slug)) ctx.addIssue({ code: "custom", path: [i, "slug"], message: `duplicate slug "${t.slug}"` });
+    seen.add(t.slug);
+  });
+});
+
+/** @typedef {z.infer<typeof TrackSchema>} Track */
+
+/** @type {ReadonlyArray<Track>} */
+const tracks = Object.freeze(CatalogSchema.parse(raw));
+
+/**
+ * Look up a track by slug.
+ * @param {string} slug
+ * @returns {Track|undefined}
+ */
+function getTrack(slug) {
+  return tracks.find((t) => t.slug === slug);
+}
+
+module.exports = { tracks, getTrack, TrackSchema };
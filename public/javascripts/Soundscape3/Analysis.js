@@ -0,0 +1,387 @@
+// @ts-check
+
+/* ============================== Track Analysis ============================== */
+/**
+ * Whole-track pre-analysis for look-ahead effects. The live analyser only sees a
+ * drop once it is playing; decoding the file up front lets the Visualizer start
+ * ramping into it a few seconds early.
+ *
+ * An OfflineAudioContext renders the track once as two mono channels (full band and
+ * a low-passed bass band). From those we take per-hop energies, an onset curve
+ * (positive log-energy steps), waveform peaks for the seek bar, and sections: cuts
+ * where the mean level before and after differs most, each section labelled by its
+ * level relative to the rest of the track (intro, buildup, drop, breakdown, groove,
+ * outro).
+ *
+ * Results are cached in IndexedDB by the audio's content hash (see IdbCache.js).
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+import { IdbCache, hashBytes } from "IdbCache";
+
+/** Cache format version; bump when the analysis changes meaningfully. */
+export const ANALYSIS_VERSION = 1;
+
+/** Analyses by content hash; a five-minute track is ~150 KB of JSON. */
+export const analysisCache = new IdbCache({
+  name: "soundscape-analysis",
+  store: "tracks",
+  label: "Analysis",
+  maxBytes: 16 * 1024 * 1024,
+  version: ANALYSIS_VERSION,
+});
+
+/** Decode rate; energies and sections don't need more. */
+const ANALYSIS_RATE = 22050;
+/** Seconds per timeline value. */
+const HOP = 0.05;
+/** Waveform resolution for the seek bar. */
+const PEAK_COUNT = 1024;
+/** Cutoff of the bass band, in Hz. */
+const BASS_HZ = 150;
+/** Moving-average window applied before looking for sections, in seconds. */
+const LEVEL_SMOOTHING = 2;
+/** Seconds compared on each side of a candidate section boundary. */
+const NOVELTY_SPAN = 8;
+/** Shortest section, in seconds. */
+const MIN_SECTION = 8;
+
+/** @typedef {"intro"|"buildup"|"drop"|"breakdown"|"groove"|"outro"} SectionKind */
+
+/**
+ * @typedef {Object} Section
+ * @property {number} start - Seconds.
+ * @property {number} end - Seconds.
+ * @property {SectionKind} kind
+ * @property {number} energy - Mean level relative to the quietest (0) and loudest (1) section.
+ */
+
+export class TrackAnalysis {
+  /**
+   * @param {{duration:number, hop:number, energy:Float32Array, bass:Float32Array, onset:Float32Array, peaks:Float32Array, sections:Section[]}} data
+   */
+  constructor({ duration, hop, energy, bass, onset, peaks, sections }) {
+    /** Track length in seconds. */
+    this.duration = duration;
+    /** Seconds per value of energy/bass/onset. */
+    this.hop = hop;
+    /** Full-band RMS per hop, 0..1 (1 = the track's loud end). */
+    this.energy = energy;
+    /** Bass-band RMS per hop, 0..1. */
+    this.bass = bass;
+    /** Onset strength per hop, 0..1. */
+    this.onset = onset;
+    /** Max |sample| per equal slice of the track, 0..1. */
+    this.peaks = peaks;
+    /** Consecutive sections covering the whole track. */
+    this.sections = sections;
+  }
+
+  /**
+   * Rebuild from toJSON() output.
+   * @param {any} o
+   * @returns {TrackAnalysis|null} null when the data is from another version or malformed
+   */
+  static fromJSON(o) {
+    if (!o || o.version !== ANALYSIS_VERSION || !Array.isArray(o.sections)) return null;
+    if (![o.energy, o.bass, o.onset, o.peaks].every(Array.isArray)) return null;
+    return new TrackAnalysis({
+      duration: o.duration,
+      hop: o.hop,
+      energy: Float32Array.from(o.energy),
+      bass: Float32Array.from(o.bass),
+      onset: Float32Array.from(o.onset),
+      peaks: Float32Array.from(o.peaks),
+      sections: o.sections,
+    });
+  }
+
+  /** Plain JSON with values rounded to 3 decimals (keeps the cache entry small). */
+  toJSON() {
+    const q = (/** @type {Float32Array} */ a) => Array.from(a, (v) => Math.round(v * 1000) / 1000);
+    return {
+      version: ANALYSIS_VERSION,
+      duration: this.duration,
+      hop: this.hop,
+      energy: q(this.energy),
+      bass: q(this.bass),
+      onset: q(this.onset),
+      peaks: q(this.peaks),
+      sections: this.sections,
+    };
+  }
+
+  /**
+   * @param {Float32Array} arr
+   * @param {number} t seconds
+   * @returns {number} linearly interpolated value, 0 outside the track
+   */
+  #sample(arr, t) {
+    const x = t / this.hop;
+    if (!(x >= 0) || x > arr.length - 1) return 0;
+    const i = Math.floor(x), f = x - i;
+    return arr[i] + ((arr[i + 1] ?? arr[i]) - arr[i]) * f;
+  }
+
+  /** @param {number} t */
+  energyAt(t) { return this.#sample(this.energy, t); }
+
+  /** @param {number} t */
+  bassAt(t) { return this.#sample(this.bass, t); }
+
+  /** @param {number} t */
+  onsetAt(t) { return this.#sample(this.onset, t); }
+
+  /**
+   * @param {number} t seconds
+   * @returns {Section|null}
+   */
+  sectionAt(t) {
+    return this.sections.find((s) => t >= s.start && t < s.end) ?? null;
+  }
+
+  /**
+   * First section starting after t.
+   * @param {number} t seconds
+   * @param {SectionKind} [kind] only sections of this kind
+   * @returns {Section|null}
+   */
+  nextSection(t, kind) {
+    return this.sections.find((s) => s.start > t && (!kind || s.kind === kind)) ?? null;
+  }
+
+  /**
+   * Ramp into the next drop: 0 until `lead` seconds before it, easing up to 1 at its start.
+   * @param {number} t seconds
+   * @param {number} lead seconds
+   * @returns {number} 0..1
+   */
+  dropAhead(t, lead) {
+    const drop = this.nextSection(t, "drop");
+    if (!drop || !(lead > 0)) return 0;
+    const x = 1 - (drop.start - t) / lead;
+    return x > 0 ? x * x : 0;
+  }
+}
+
+/**
+ * Decode encoded audio at the analysis rate.
+ * @param {ArrayBuffer} bytes
+ * @returns {Promise<AudioBuffer>}
+ */
+export function decodeForAnalysis(bytes) {
+  const ctx = new OfflineAudioContext(1, 1, ANALYSIS_RATE);
+  return ctx.decodeAudioData(bytes);
+}
+
+/**
+ * Render a mono full-band mix (channel 0) and a mono bass band (channel 1).
+ * @param {AudioBuffer} buffer
+ * @returns {Promise<AudioBuffer>}
+ */
+function renderBands(buffer) {
+  const ctx = new OfflineAudioContext(2, buffer.length, buffer.sampleRate);
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  const mono = ctx.createGain();
+  mono.channelCount = 1;
+  mono.channelCountMode = "explicit";
+  const low = ctx.createBiquadFilter();
+  low.type = "lowpass";
+  low.frequency.value = BASS_HZ;
+  const merge = ctx.createChannelMerger(2);
+  src.connect(mono);
+  mono.connect(merge, 0, 0);
+  mono.connect(low).connect(merge, 0, 1);
+  merge.connect(ctx.destination);
+  src.start(0);
+  return ctx.startRendering();
+}
+
+/**
+ * RMS of every hop.
+ * @param {Float32Array} x
+ * @param {number} hopLen samples per hop
+ * @returns {Float32Array}
+ */
+function hopRms(x, hopLen) {
+  const out = new Float32Array(Math.max(1, Math.ceil(x.length / hopLen)));
+  for (let h = 0; h < out.length; h++)
+  {
+    const end = Math.min(x.length, (h + 1) * hopLen);
+    let sq = 0;
+    for (let i = h * hopLen; i < end; i++) sq += x[i] * x[i];
+    out[h] = Math.sqrt(sq / Math.max(1, end - h * hopLen));
+  }
+  return out;
+}
+
+/**
+ * Scale so the 98th percentile lands on 1, clamping the rest (in place).
+ * @param {Float32Array} a
+ * @returns {Float32Array}
+ */
+function normalize(a) {
+  const sorted = Float32Array.from(a).sort();
+  const top = sorted[Math.floor((sorted.length - 1) * 0.98)] || 1;
+  for (let i = 0; i < a.length; i++) a[i] = Math.min(1, a[i] / top);
+  return a;
+}
+
+/**
+ * Cut the track where the mean level before and after differs most, then label each part.
+ * @param {Float32Array} energy
+ * @param {Float32Array} bass
+ * @param {number} duration
+ * @returns {Section[]}
+ */
+function findSections(energy, bass, duration) {
+  const n = energy.length;
+  // Prefix sums of the smoothed level give window means in O(1)
+  const smoothLen = Math.max(1, Math.round(LEVEL_SMOOTHING / HOP));
+  const sum = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) sum[i + 1] = sum[i] + 0.5 * (energy[i] + bass[i]);
+  const level = new Float32Array(n);
+  for (let i = 0; i < n; i++)
+  {
+    const a = Math.max(0, i - (smoothLen >> 1)), b = Math.min(n, a + smoothLen);
+    level[i] = (sum[b] - sum[a]) / (b - a);
+  }
+  const lsum = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) lsum[i + 1] = lsum[i] + level[i];
+  const mean = (/** @type {number} */ a, /** @type {number} */ b) => (lsum[b] - lsum[a]) / Math.max(1, b - a);
+
+  const span = Math.round(NOVELTY_SPAN / HOP);
+  const minGap = Math.round(MIN_SECTION / HOP);
+  const novelty = new Float32Array(n);
+  let nMean = 0, nSq = 0, count = 0;
+  for (let i = span; i < n - span; i++)
+  {
+    novelty[i] = Math.abs(mean(i - span, i) - mean(i, i + span));
+    nMean += novelty[i];
+    nSq += novelty[i] * novelty[i];
+    count++;
+  }
+  /** @type {number[]} */
+  const cuts = [];
+  if (count)
+  {
+    nMean /= count;
+    const threshold = nMean + 0.5 * Math.sqrt(Math.max(0, nSq / count - nMean * nMean));
+    const candidates = [];
+    for (let i = span; i < n - span; i++) if (novelty[i] > threshold) candidates.push(i);
+    candidates.sort((a, b) => novelty[b] - novelty[a]);
+    for (const i of candidates)
+    {
+      if (i < minGap || n - i < minGap) continue;
+      if (cuts.every((c) => Math.abs(c - i) >= minGap)) cuts.push(i);
+    }
+    cuts.sort((a, b) => a - b);
+  }
+
+  const bounds = [0, ...cuts, n];
+  const parts = [];
+  for (let k = 0; k < bounds.length - 1; k++)
+  {
+    const a = bounds[k], b = bounds[k + 1], mid = (a + b) >> 1;
+    parts.push({ a, b, level: mean(a, b), rising: mean(mid, b) > mean(a, mid) * 1.1 });
+  }
+  const lo = Math.min(...parts.map((p) => p.level));
+  const hi = Math.max(...parts.map((p) => p.level));
+  // A track with no real dynamics is one long groove
+  const flat = hi - lo < 0.1 * hi;
+
+  /** @type {Section[]} */
+  const sections = parts.map((p) => {
+    const r = flat ? 0.5 : (p.level - lo) / (hi - lo);
+    /** @type {SectionKind} */
+    const kind = r >= 0.7 ? "drop" : r <= 0.3 ? "breakdown" : "groove";
+    return { start: p.a * HOP, end: Math.min(duration, p.b * HOP), kind, energy: r };
+  });
+  sections[sections.length - 1].end = duration;
+  for (let k = 0; k < sections.length; k++)
+  {
+    const s = sections[k];
+    if (s.kind === "drop") continue;
+    if (sections[k + 1]?.kind === "drop" && parts[k].rising) s.kind = "buildup";
+    else if (k === 0 && s.energy < 0.5) s.kind = "intro";
+    else if (k === sections.length - 1 && k > 0 && s.energy < 0.5) s.kind = "outro";
+  }
+  return sections;
+}
+
+/**
+ * Analyze a decoded track.
+ * @param {AudioBuffer} buffer
+ * @param {(pct:number)=>void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<TrackAnalysis>}
+ */
+export async function analyzeBuffer(buffer, onProgress, signal) {
+  const cancelled = () => new DOMException("Analysis cancelled", "AbortError");
+  onProgress?.(0.2);
+  const bands = await renderBands(buffer);
+  if (signal?.aborted) throw cancelled();
+  onProgress?.(0.6);
+
+  const full = bands.getChannelData(0), low = bands.getChannelData(1);
+  const hopLen = Math.max(1, Math.round(HOP * bands.sampleRate));
+  const energy = hopRms(full, hopLen);
+  const bass = hopRms(low, hopLen);
+
+  const onset = new Float32Array(energy.length);
+  const eps = 1e-4;
+  for (let i = 1; i < energy.length; i++)
+  {
+    onset[i] =
+      Math.max(0, Math.log(energy[i] + eps) - Math.log(energy[i - 1] + eps)) +
+      Math.max(0, Math.log(bass[i] + eps) - Math.log(bass[i - 1] + eps));
+  }
+
+  const peaks = new Float32Array(PEAK_COUNT);
+  const slice = full.length / PEAK_COUNT;
+  for (let p = 0; p < PEAK_COUNT; p++)
+  {
+    let m = 0;
+    const end = Math.min(full.length, Math.floor((p + 1) * slice));
+    for (let i = Math.floor(p * slice); i < end; i++) m = Math.max(m, Math.abs(full[i]));
+    peaks[p] = m;
+  }
+  onProgress?.(0.8);
+
+  normalize(energy);
+  normalize(bass);
+  normalize(onset);
+  normalize(peaks);
+  const sections = findSections(energy, bass, buffer.duration);
+  onProgress?.(1);
+  return new TrackAnalysis({ duration: buffer.duration, hop: HOP, energy, bass, onset, peaks, sections });
+}
+
+/**
+ * Analyze the track at `url`, from the cache when possible. The cache is keyed by the
+ * file's content, so object URLs of dropped files hit too.
+ * @param {string} url
+ * @param {{onProgress?: (pct:number)=>void, signal?: AbortSignal}} [opts]
+ * @returns {Promise<TrackAnalysis>}
+ */
+export async function analyzeTrack(url, { onProgress, signal } = {}) {
+  const bytes = await (await fetch(url, { signal })).arrayBuffer();
+  // Hash before decoding: decodeAudioData() detaches the buffer
+  const key = await hashBytes(bytes);
+  const cached = TrackAnalysis.fromJSON(await analysisCache.get(key));
+  if (cached)
+  {
+    onProgress?.(1);
+    return cached;
+  }
+  const buffer = await decodeForAnalysis(bytes);
+  if (signal?.aborted) throw new DOMException("Analysis cancelled", "AbortError");
+  const analysis = await analyzeBuffer(buffer, onProgress, signal);
+  const json = analysis.toJSON();
+  // Logs its own failures; the analysis is good either way
+  analysisCache.put(key, json, JSON.stringify(json).length);
+  return analysis;
+}
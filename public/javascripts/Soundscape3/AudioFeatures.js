@@ -0,0 +1,226 @@
+// @ts-check
+
+/* ============================== Audio Features ============================== */
+/**
+ * Spectral descriptors from an AnalyserNode (or any stand-in with the same read
+ * surface): centroid, rolloff, flatness, RMS/loudness and a 12-bin chromagram.
+ *
+ * Byte spectra are dB-scaled, so bins are mapped back to linear magnitude through
+ * the analyser's minDecibels/maxDecibels before anything is summed. RMS comes from
+ * getFloatTimeDomainData() when the source has it.
+ *
+ *   const f = new AudioFeatures(analyser);
+ *   // per frame (optionally pass a spectrum you already read this frame)
+ *   f.update();
+ *   f.centroidNorm, f.level, f.chroma[f.pitchClass], f.hue
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Pitch class names, index = AudioFeatures.pitchClass. */
+export const PITCH_CLASSES = Object.freeze(["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"]);
+
+/**
+ * @typedef {Object} FeatureSource
+ * @property {number} frequencyBinCount
+ * @property {{sampleRate: number}} context
+ * @property {(dst: Uint8Array) => void} getByteFrequencyData
+ * @property {number} [fftSize]
+ * @property {number} [minDecibels]
+ * @property {number} [maxDecibels]
+ * @property {(dst: Float32Array) => void} [getFloatTimeDomainData]
+ */
+
+/**
+ * @typedef {Object} FeatureOptions
+ * @property {number} [rolloff=0.85] - Energy fraction below the rolloff frequency.
+ * @property {number} [chromaMinHz=100] - Lowest frequency folded into the chromagram.
+ * @property {number} [chromaMaxHz=5000] - Highest frequency folded into the chromagram.
+ * @property {number} [chromaSmoothing=0.2] - Per-update lerp factor of the chroma vector (1 = raw).
+ */
+
+/** Range the *Norm values map onto, log-scaled. */
+const MIN_HZ = 20;
+const MAX_HZ = 20000;
+/** Loudness floor for `level`. */
+const FLOOR_DB = -60;
+
+/**
+ * @param {number} hz
+ * @returns {number} 0..1 on a log axis from MIN_HZ to MAX_HZ
+ */
+function logNorm(hz) {
+  if (!(hz > MIN_HZ)) return 0;
+  return Math.min(1, Math.log(hz / MIN_HZ) / Math.log(MAX_HZ / MIN_HZ));
+}
+
+export class AudioFeatures {
+  /**
+   * @param {FeatureSource} analyser
+   * @param {FeatureOptions} [opts]
+   */
+  constructor(analyser, opts = {}) {
+    this.analyser = analyser;
+    this.opts = { rolloff: 0.85, chromaMinHz: 100, chromaMaxHz: 5000, chromaSmoothing: 0.2, ...opts };
+    /** @type {Uint8Array} */
+    this.spec = new Uint8Array(analyser.frequencyBinCount);
+    /** @type {Float32Array|null} */
+    this._wave = null;
+    /** @type {Float32Array} byte -> linear magnitude */
+    this._lut = new Float32Array(256);
+    /** @type {Int8Array} bin -> pitch class, -1 outside the chroma range */
+    this._pc = new Int8Array(0);
+    this._layout = "";
+    /** Power standing in for empty bins in the flatness log-mean. */
+    this._floor = 0;
+    /** Chroma energy per pitch class, normalized so the strongest is 1. */
+    this.chroma = new Float32Array(12);
+    /** Spectral centroid in Hz. */
+    this.centroid = 0;
+    /** Centroid on a 20 Hz..20 kHz log axis, 0..1; "brightness". */
+    this.centroidNorm = 0;
+    /** Frequency below which opts.rolloff of the energy sits, in Hz. */
+    this.rolloff = 0;
+    /** Rolloff on the same log axis, 0..1. */
+    this.rolloffNorm = 0;
+    /** Spectral flatness (geometric / arithmetic mean of power), 0 tonal .. 1 noise. */
+    this.flatness = 0;
+    /** Linear RMS of the time-domain window. */
+    this.rms = 0;
+    /** RMS in dBFS (-Infinity for silence). */
+    this.loudness = -Infinity;
+    /** Loudness mapped from -60..0 dBFS to 0..1. */
+    this.level = 0;
+    /** Strongest pitch class, 0 = C .. 11 = B. */
+    this.pitchClass = 0;
+    /** Circular mean of the chromagram as a 0..1 hue (C = 0); moves smoothly between neighbours. */
+    this.hue = 0;
+    this.reset();
+  }
+
+  /**
+   * Point at another source (e.g. a prerecorded spectrum during export).
+   * @param {FeatureSource} analyser
+   */
+  setAnalyser(analyser) {
+    this.analyser = analyser;
+    if (this.spec.length !== analyser.frequencyBinCount) this.spec = new Uint8Array(analyser.frequencyBinCount);
+  }
+
+  /** Zero every descriptor. */
+  reset() {
+    this.centroid = 0;
+    this.centroidNorm = 0;
+    this.rolloff = 0;
+    this.rolloffNorm = 0;
+    this.flatness = 0;
+    this.rms = 0;
+    this.loudness = -Infinity;
+    this.level = 0;
+    this.pitchClass = 0;
+    this.hue = 0;
+    this.chroma.fill(0);
+  }
+
+  /** Rebuild the lookup tables when the analyser's scale or layout changed. */
+  #layout() {
+    const an = this.analyser;
+    const minDb = an.minDecibels ?? -100, maxDb = an.maxDecibels ?? -30;
+    const n = this.spec.length, sr = an.context.sampleRate;
+    const key = `${minDb}/${maxDb}/${n}/${sr}`;
+    if (key === this._layout) return;
+    this._layout = key;
+    // Byte 0 means "at or below minDecibels": treat it as silence, or the floor of every empty bin
+    // drags the centroid toward the middle of the spectrum.
+    this._lut[0] = 0;
+    for (let b = 1; b < 256; b++) this._lut[b] = Math.pow(10, (minDb + (b / 255) * (maxDb - minDb)) / 20);
+    this._floor = Math.pow(10, minDb / 10);
+    const binHz = sr / 2 / n;
+    this._pc = new Int8Array(n).fill(-1);
+    for (let i = 1; i < n; i++)
+    {
+      const hz = i * binHz;
+      if (hz < this.opts.chromaMinHz || hz > this.opts.chromaMaxHz) continue;
+      const midi = Math.round(69 + 12 * Math.log2(hz / 440));
+      this._pc[i] = ((midi % 12) + 12) % 12;
+    }
+  }
+
+  /**
+   * Recompute every descriptor.
+   * @param {Uint8Array} [spec] - This frame's byte spectrum if the caller already read it.
+   * @returns {this}
+   */
+  update(spec) {
+    const an = this.analyser;
+    if (!spec)
+    {
+      an.getByteFrequencyData(this.spec);
+      spec = this.spec;
+    }
+    this.#layout();
+    const n = spec.length, lut = this._lut, pcOf = this._pc;
+    const binHz = an.context.sampleRate / 2 / n;
+
+    // Centroid, flatness, chroma (bin 0 is DC)
+    let sumMag = 0, sumWeighted = 0, sumPow = 0, sumLogPow = 0;
+    const chroma = new Float32Array(12);
+    for (let i = 1; i < n; i++)
+    {
+      const mag = lut[spec[i]];
+      const pow = mag * mag;
+      sumMag += mag;
+      sumWeighted += mag * i * binHz;
+      sumPow += pow;
+      sumLogPow += Math.log(pow || this._floor);
+      const pc = pcOf[i];
+      if (pc >= 0) chroma[pc] += pow;
+    }
+    this.centroid = sumMag ? sumWeighted / sumMag : 0;
+    this.centroidNorm = logNorm(this.centroid);
+    this.flatness = sumPow ? Math.min(1, Math.exp(sumLogPow / (n - 1)) / (sumPow / (n - 1))) : 0;
+
+    // Rolloff
+    const limit = sumPow * this.opts.rolloff;
+    let acc = 0, r = 1;
+    for (; r < n; r++)
+    {
+      const mag = lut[spec[r]];
+      acc += mag * mag;
+      if (acc >= limit) break;
+    }
+    this.rolloff = Math.min(r, n - 1) * binHz;
+    this.rolloffNorm = logNorm(this.rolloff);
+
+    // Chromagram
+    let max = 0;
+    for (let k = 0; k < 12; k++) max = Math.max(max, chroma[k]);
+    const a = this.opts.chromaSmoothing;
+    let best = 0, cx = 0, cy = 0;
+    for (let k = 0; k < 12; k++)
+    {
+      const v = max > 0 ? chroma[k] / max : 0;
+      this.chroma[k] += (v - this.chroma[k]) * a;
+      if (this.chroma[k] > this.chroma[best]) best = k;
+      cx += this.chroma[k] * Math.cos((2 * Math.PI * k) / 12);
+      cy += this.chroma[k] * Math.sin((2 * Math.PI * k) / 12);
+    }
+    this.pitchClass = best;
+    if (cx || cy) this.hue = ((Math.atan2(cy, cx) / (2 * Math.PI)) + 1) % 1;
+
+    // Loudness
+    if (typeof an.getFloatTimeDomainData === "function")
+    {
+      const size = an.fftSize ?? n * 2;
+      if (!this._wave || this._wave.length !== size) this._wave = new Float32Array(size);
+      an.getFloatTimeDomainData(this._wave);
+      let sq = 0;
+      for (let i = 0; i < size; i++) sq += this._wave[i] * this._wave[i];
+      this.rms = Math.sqrt(sq / size);
+      this.loudness = this.rms > 0 ? 20 * Math.log10(this.rms) : -Infinity;
+      this.level = Number.isFinite(this.loudness) ? Math.max(0, Math.min(1, (this.loudness - FLOOR_DB) / -FLOOR_DB)) : 0;
+    }
+    return this;
+  }
+}
@@ -0,0 +1,300 @@
+// @ts-check
+
+/* ============================== Beat Tracker ============================== */
+/**
+ * Onset and beat tracking from per-frame byte spectra.
+ *
+ * Onsets: spectral flux (sum of positive bin-to-bin rises between frames) against an
+ * adaptive threshold, mean + sensitivity * stddev of the flux over the last `window`
+ * seconds. An onset fires on the rising edge, so there is no peak-picking latency.
+ *
+ * Tempo: every onset votes for the intervals to its last few predecessors, folded
+ * into [minBpm, maxBpm], in a BPM histogram that decays over a few seconds. The peak
+ * is the tempo; its share of the histogram is the confidence.
+ *
+ * Phase: a beat grid runs at the estimated period and is pulled toward stronger than
+ * average onsets that land near a predicted beat, so "beat" events keep coming on time through fills
+ * and stop after a few seconds of silence. A grid that keeps missing is restarted. Until a tempo is known, onsets are beats.
+ *
+ * Works on timestamps rather than frame counts, so uneven frame rates are fine.
+ *
+ * Events: "onset" {time, strength}, "beat" {time, bpm, count}.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/**
+ * @typedef {Object} BeatOptions
+ * @property {number} sensitivity - Threshold in standard deviations above the mean flux.
+ * @property {number} window - Seconds of flux history behind the threshold.
+ * @property {number} minInterval - Refractory time between onsets, in seconds.
+ * @property {number} minBpm
+ * @property {number} maxBpm
+ * @property {number} decay - Time constant of `pulse` after a beat, in seconds.
+ */
+
+/** Onsets further apart than this (seconds) stop the grid. */
+const LOST_AFTER = 4;
+/** Histogram half-life, in seconds. */
+const TEMPO_MEMORY = 6;
+/** Each onset votes against this many predecessors. */
+const IOI_NEIGHBOURS = 4;
+/** Fraction of a period around a predicted beat where onsets pull the grid. */
+const LOCK_WINDOW = 0.2;
+/** How far the grid moves toward a locking onset (0..1). */
+const LOCK_GAIN = 0.35;
+/** Strong onsets in a row off the grid before it restarts on the next one. */
+const MAX_MISSES = 3;
+
+export class BeatTracker extends EventTarget {
+  /** @param {Partial<BeatOptions>} [opts] */
+  constructor(opts = {}) {
+    super();
+    /** @type {BeatOptions} */
+    this.opts = { sensitivity: 1.5, window: 1, minInterval: 0.12, minBpm: 70, maxBpm: 180, decay: 0.18, ...opts };
+
+    /** Spectral flux of the last frame, ~0..0.1 for music. */
+    this.flux = 0;
+    /** Adaptive onset threshold of the last frame. */
+    this.threshold = 0;
+    /** True on the frame an onset was detected. */
+    this.onset = false;
+    /** True on the frame a beat fired. */
+    this.beat = false;
+    /** Beats fired since reset. */
+    this.count = 0;
+    /** Position inside the current beat, 0 at the beat .. 1 just before the next. */
+    this.phase = 0;
+    /** 1 at a beat, decaying with opts.decay; handy as a kick envelope. */
+    this.pulse = 0;
+    /** Same envelope, restarted by every onset rather than by beats. */
+    this.onsetPulse = 0;
+    /** Time of the last onset, in seconds. */
+    this.lastOnset = -Infinity;
+    /** Time of the last beat, in seconds. */
+    this.lastBeat = -Infinity;
+    /** Estimated tempo, 0 until known. */
+    this.bpm = 0;
+    /** Share of the tempo histogram behind `bpm`, 0..1. */
+    this.confidence = 0;
+
+    /** @type {Float32Array|null} */
+    this._prev = null;
+    /** @type {Array<[number, number]>} (time, flux) pairs inside the threshold window */
+    this._history = [];
+    this._above = false;
+    /** @type {number} Time of the next predicted beat, or Infinity when the grid is stopped. */
+    this._nextBeat = Infinity;
+    /** Running mean of onset strengths; weaker onsets (hats, off-beats) don't steer the grid. */
+    this._strength = 0;
+    /** Strong onsets in a row that missed the grid. */
+    this._misses = 0;
+    /** Tempo histogram, one bin per BPM from opts.minBpm. */
+    this._hist = new Float32Array(1);
+    /** @type {number[]} recent onset times */
+    this._onsets = [];
+    this.reset();
+  }
+
+  /**
+   * Update options; a changed BPM range restarts tempo estimation.
+   * @param {Partial<BeatOptions>} opts
+   */
+  configure(opts) {
+    const { minBpm, maxBpm } = this.opts;
+    Object.assign(this.opts, opts);
+    if (this.opts.minBpm !== minBpm || this.opts.maxBpm !== maxBpm) this.#resetTempo();
+  }
+
+  /** Forget everything (new track, offline render start). */
+  reset() {
+    this.flux = 0;
+    this.threshold = 0;
+    this.onset = false;
+    this.beat = false;
+    this.count = 0;
+    this.phase = 0;
+    this.pulse = 0;
+    this.onsetPulse = 0;
+    this.lastOnset = -Infinity;
+    this.lastBeat = -Infinity;
+    this._prev = null;
+    this._history = [];
+    this._above = false;
+    this._nextBeat = Infinity;
+    this._strength = 0;
+    this._misses = 0;
+    this.#resetTempo();
+  }
+
+  #resetTempo() {
+    this.bpm = 0;
+    this.confidence = 0;
+    this._hist = new Float32Array(Math.max(1, Math.ceil(this.opts.maxBpm - this.opts.minBpm) + 1));
+    this._onsets = [];
+  }
+
+  /** @returns {number} Beat period in seconds, 0 when the tempo is unknown. */
+  get period() {
+    return this.bpm > 0 ? 60 / this.bpm : 0;
+  }
+
+  /**
+   * Feed one spectrum frame.
+   * @param {Uint8Array} spec - Byte spectrum (getByteFrequencyData).
+   * @param {number} t - Frame time in seconds, monotonic.
+   * @returns {void}
+   */
+  update(spec, t) {
+    const { sensitivity, window, minInterval, decay } = this.opts;
+    this.onset = false;
+    this.beat = false;
+
+    // Spectral flux
+    const n = spec.length;
+    this._prev ??= new Float32Array(n);
+    const prev = this._prev;
+    let flux = 0;
+    for (let i = 0; i < n; i++)
+    {
+      const d = spec[i] - prev[i];
+      if (d > 0) flux += d;
+      prev[i] = spec[i];
+    }
+    flux /= n * 255;
+    this.flux = flux;
+
+    // Adaptive threshold over the window, excluding this frame
+    const h = this._history;
+    while (h.length && t - h[0][0] > window) h.shift();
+    let mean = 0, sq = 0;
+    for (const [, f] of h) mean += f;
+    mean = h.length ? mean / h.length : 0;
+    for (const [, f] of h) sq += (f - mean) ** 2;
+    const std = h.length ? Math.sqrt(sq / h.length) : 0;
+    this.threshold = mean + sensitivity * std + 1e-3;
+    h.push([t, flux]);
+
+    if (flux > this.threshold)
+    {
+      if (!this._above && t - this.lastOnset >= minInterval) this.#onOnset(t, (flux - mean) / (std + 1e-6));
+      this._above = true;
+    } else
+    {
+      this._above = false;
+    }
+
+    // Silence or a break: stop the grid instead of ticking on
+    if (t - this.lastOnset > LOST_AFTER) this._nextBeat = Infinity;
+    const period = this.period;
+    while (period && t >= this._nextBeat)
+    {
+      this.#fireBeat(this._nextBeat);
+      this._nextBeat += period;
+    }
+
+    const since = t - this.lastBeat;
+    this.phase = period && Number.isFinite(since) ? Math.min(1, since / period) : 0;
+    this.pulse = Number.isFinite(since) ? Math.exp(-Math.max(0, since) / decay) : 0;
+    const sinceOnset = t - this.lastOnset;
+    this.onsetPulse = Number.isFinite(sinceOnset) ? Math.exp(-Math.max(0, sinceOnset) / decay) : 0;
+  }
+
+  /**
+   * @param {number} t
+   * @param {number} strength - Flux in standard deviations above the mean.
+   */
+  #onOnset(t, strength) {
+    this.lastOnset = t;
+    this.onset = true;
+    this.dispatchEvent(new CustomEvent("onset", { detail: { time: t, strength } }));
+    this.#voteTempo(t);
+
+    const strong = strength >= this._strength;
+    this._strength += (Math.min(strength, 10) - this._strength) * 0.1;
+    const period = this.period;
+    if (!period)
+    {
+      this.#fireBeat(t);
+      return;
+    }
+    if (!strong) return;
+    if (!Number.isFinite(this._nextBeat) || this._misses >= MAX_MISSES)
+    {
+      // (Re)start the grid on this onset
+      this.#fireBeat(t);
+      this._nextBeat = t + period;
+      this._misses = 0;
+      return;
+    }
+    const early = this._nextBeat - t;
+    const late = t - this.lastBeat;
+    if (early < LOCK_WINDOW * period)
+    {
+      // Just ahead of the prediction: take the beat now
+      this.#fireBeat(t);
+      this._nextBeat = t + period - early * (1 - LOCK_GAIN);
+      this._misses = 0;
+    } else if (late < LOCK_WINDOW * period)
+    {
+      // Just behind it: slide the grid later
+      const shift = late * LOCK_GAIN;
+      this.lastBeat += shift;
+      this._nextBeat += shift;
+      this._misses = 0;
+    } else
+    {
+      this._misses++;
+    }
+  }
+
+  /** @param {number} t */
+  #fireBeat(t) {
+    this.lastBeat = t;
+    this.beat = true;
+    this.count++;
+    this.dispatchEvent(new CustomEvent("beat", { detail: { time: t, bpm: this.bpm, count: this.count } }));
+  }
+
+  /** @param {number} t */
+  #voteTempo(t) {
+    const { minBpm, maxBpm } = this.opts;
+    const hist = this._hist;
+    const onsets = this._onsets;
+
+    const dt = onsets.length ? t - onsets[onsets.length - 1] : 0;
+    const keep = Math.pow(0.5, dt / TEMPO_MEMORY);
+    for (let i = 0; i < hist.length; i++) hist[i] *= keep;
+
+    for (let k = 1; k <= IOI_NEIGHBOURS && k <= onsets.length; k++)
+    {
+      const ioi = t - onsets[onsets.length - k];
+      if (ioi <= 0 || ioi > 60 / minBpm * 2) continue;
+      let bpm = (60 * k) / ioi;
+      while (bpm < minBpm) bpm *= 2;
+      while (bpm > maxBpm) bpm /= 2;
+      if (bpm < minBpm) continue;
+      // Triangular vote over neighbouring bins; closer onsets count more
+      const x = bpm - minBpm, i0 = Math.floor(x), f = x - i0, w = 1 / k;
+      hist[i0] += w * (1 - f);
+      if (i0 + 1 < hist.length) hist[i0 + 1] += w * f;
+    }
+    onsets.push(t);
+    if (onsets.length > IOI_NEIGHBOURS) onsets.shift();
+
+    let best = 0, total = 0;
+    for (let i = 0; i < hist.length; i++)
+    {
+      total += hist[i];
+      if (hist[i] > hist[best]) best = i;
+    }
+    if (total < 1.5) return;
+    // Parabolic refinement around the peak
+    const a = hist[best - 1] ?? 0, b = hist[best], c = hist[best + 1] ?? 0;
+    const den = a - 2 * b + c;
+    const offs = den ? Math.max(-0.5, Math.min(0.5, (0.5 * (a - c)) / den)) : 0;
+    this.bpm = minBpm + best + offs;
+    this.confidence = (a + b + c) / total;
+  }
+}
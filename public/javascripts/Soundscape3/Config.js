@@ -1,9 +1,29 @@
 // @ts-check
 import * as THREE from "three";
 
+/**
+ * Deep-partial patch: any subset of sections, each with any subset of keys.
+ * Vector3 keys also accept [x, y, z].
+ * @typedef {{[K in keyof Config]?: Record<string, any>}} ConfigPatch
+ */
+
+/**
+ * @typedef {{sections: Array<keyof Config>, patch: ConfigPatch}} ConfigChange
+ */
+
+/**
+ * Named analysis band. slow/fast are per-band lerp constants; when omitted the
+ * smoothing section's values apply.
+ * @typedef {{name:string, lo:number, hi:number, slow?:number, fast?:number}} BandDef
+ */
+
 /** ============================== Config ==============================
  * Centralized config so knobs live in one damn place.
  * Change at runtime via Config.update({ ... }) and consumers read from getters.
+ * Updates deep-merge into the live sections and notify Config.onChange() listeners,
+ * which is how a running Visualizer picks them up.
+ * Presets round-trip through Config.serialize()/Config.deserialize() (JSON) and
+ * Config.toHash()/Config.fromHash() (URL hash, "#preset=<base64url>").
  *
  * Author: DJ Stomp <DJStompZone>
  * License: MIT
@@ -36,11 +56,225 @@ export class Config {
   static read(key) { return Config.#inst[key]; }
 
   /**
-   * Shallow-merge a patch into the config. Use nested objects in patch to change subsections.
-   * @param {Partial<Config>} patch
+   * Deep-merge a patch into the config and notify listeners. Sections are merged in place,
+   * so references held by consumers (e.g. Visualizer.lights) stay current.
+   * @param {ConfigPatch} patch
+   * @returns {Config}
+   */
+  static update(patch) {
+    Config.#merge(/** @type {Record<string, any>} */ (Config.#inst), patch);
+    const sections = /** @type {Array<keyof Config>} */ (Object.keys(patch));
+    if (sections.length)
+    {
+      for (const fn of [...Config.#listeners]) fn({ sections, patch });
+    }
+    return Config.#inst;
+  }
+
+  /**
+   * Subscribe to changes made through update()/deserialize().
+   * @param {(change: ConfigChange) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  static onChange(listener) {
+    Config.#listeners.add(listener);
+    return () => { Config.#listeners.delete(listener); };
+  }
+
+  /** @type {Set<(change: ConfigChange) => void>} */
+  static #listeners = new Set();
+
+  /**
+   * Recursive merge: plain objects merge, Vector3s copy in place, everything else replaces.
+   * @param {Record<string, any>} dst
+   * @param {Record<string, any>} src
+   */
+  static #merge(dst, src) {
+    for (const [k, v] of Object.entries(src))
+    {
+      const cur = dst[k];
+      if (cur instanceof THREE.Vector3 && v instanceof THREE.Vector3) cur.copy(v);
+      else if (cur instanceof THREE.Vector3 && Array.isArray(v)) cur.fromArray(v);
+      else if (isPlainObject(cur) && isPlainObject(v)) Config.#merge(cur, v);
+      else dst[k] = v;
+    }
+  }
+
+  /**
+   * Pristine defaults, used to keep serialized presets compact.
+   * @type {Config}
+   */
+  static #defaults = new Config();
+
+  /**
+   * Editable ranges per numeric key as [min, max, step], used to generate tweak UIs.
+   * Keys not listed here (and Vector3 / string keys) are handled by the UI itself.
+   * For list-valued keys (bands.list, modulation.routes) the ranges apply to the fields of each entry.
+   * @type {{[K in keyof Config]?: Record<string, [number, number, number]>}}
+   */
+  static SCHEMA = {
+    starfield: { mainCount: [0, 10000, 100], blurCount: [0, 20000, 100], radius: [10, 150, 1], mainSize: [0.01, 0.5, 0.005], blurSize: [0.01, 0.5, 0.005], mainOpacity: [0, 1, 0.01], blurOpacity: [0, 1, 0.01] },
+    bloom: { strength: [0, 2.5, 0.01], radius: [0, 1.5, 0.01], threshold: [0, 1, 0.01] },
+    mesh: { subdiv: [1, 32, 1], distortion: [0, 3, 0.01], rotationSpeed: [0, 2.5, 0.01], reactivity: [0, 3, 0.01], zoom: [0.1, 1.5, 0.01] },
+    liquid: { amount: [0, 1, 0.005], roughness: [0, 1, 0.01], metallic: [0, 1, 0.01], flow: [0, 5, 0.01], freq: [0.1, 10, 0.01], amp: [0, 6, 0.01] },
+    lights: { keyIntensity: [0, 3, 0.01], fillIntensity: [0, 3, 0.01], rimIntensity: [0, 3, 0.01] },
+    morph: { threshold: [0, 1, 0.01], knee: [0, 2, 0.01], attack: [0.001, 0.5, 0.001], release: [0.001, 0.5, 0.001] },
+    shapes: { position: [0, 3, 0.01], fade: [0, 8, 0.05], beats: [1, 64, 1] },
+    smoothing: { slow: [0.001, 1, 0.001], fast: [0.001, 1, 0.001] },
+    bands: { lo: [0, 20000, 1], hi: [20, 24000, 1], slow: [0.001, 1, 0.001], fast: [0.001, 1, 0.001] },
+    modulation: { min: [-5, 5, 0.001], max: [-5, 5, 0.001], smooth: [0.01, 1, 0.01], rate: [0.01, 10, 0.01] },
+    beat: { sensitivity: [0.5, 4, 0.05], window: [0.25, 4, 0.05], minInterval: [0.05, 0.5, 0.01], minBpm: [40, 120, 1], maxBpm: [100, 240, 1], decay: [0.03, 1, 0.01], morphKick: [0, 1, 0.01], cameraKick: [0, 0.6, 0.01], bloomKick: [0, 2, 0.01] },
+    lookahead: { lead: [0.5, 16, 0.1], morph: [0, 1, 0.01], camera: [0, 1.5, 0.01] },
+    orbit: { baseSpeed: [0, 0.2, 0.001], a: [0, 2, 0.01], b: [0, 2, 0.01] },
+    spin: { damp: [0, 0.99, 0.01], maxOmega: [0, 10, 0.1], dragSensitivity: [0, 0.02, 0.0005] },
+    theme: { hue: [0, 1, 0.01] },
+    particles: { resolution: [0.25, 2, 0.05] },
+    voxels: { size: [4, 40, 1], spin: [0, 4, 0.05], trails: [0, 0.98, 0.01], glow: [0, 2.5, 0.01], spread: [0, 1, 0.01], pump: [0, 1, 0.01] },
+    ball: { bass: [0, 3, 0.01], treble: [0, 3, 0.01], ground: [0, 3, 0.01], spin: [0, 4, 0.05], detail: [1, 6, 1] },
+  };
+
+  /** Preset format version, bumped on incompatible changes. */
+  static PRESET_VERSION = 1;
+
+  /**
+   * Plain-JSON snapshot of every section this page uses (see pageSections()). Vector3
+   * values become [x, y, z].
+   * @param {{compact?: boolean}} [opts] compact (default true) drops values equal to the defaults
+   * @returns {{v:number} & Record<string, Record<string, number|string|number[]>>}
+   */
+  static serialize({ compact = true } = {}) {
+    /** @type {{v:number} & Record<string, any>} */
+    const out = { v: Config.PRESET_VERSION };
+    for (const key of Config.pageSections())
+    {
+      const cur = /** @type {Record<string, any>} */ (Config.#inst[key]);
+      const def = /** @type {Record<string, any>} */ (Config.#defaults[key]);
+      /** @type {Record<string, any>} */
+      const sec = {};
+      for (const k of Object.keys(def))
+      {
+        const v = cur[k] instanceof THREE.Vector3 ? cur[k].toArray() : cur[k];
+        const d = def[k] instanceof THREE.Vector3 ? def[k].toArray() : def[k];
+        if (compact && JSON.stringify(v) === JSON.stringify(d)) continue;
+        sec[k] = v;
+      }
+      if (!compact || Object.keys(sec).length) out[key] = sec;
+    }
+    return out;
+  }
+
+  /**
+   * Apply a preset produced by serialize(). Missing values reset to defaults so the
+   * result reproduces the exported look; unknown or mistyped values warn and are skipped,
+   * and so do list entries unlike the default list's (see listItemOk()).
+   * @param {any} data
    * @returns {Config}
    */
-  static update(patch) { Object.assign(Config.#inst, patch); return Config.#inst; }
+  static deserialize(data) {
+    if (!data || typeof data !== "object") throw new TypeError("Preset must be an object");
+    if (data.v !== Config.PRESET_VERSION) console.warn(`Preset version ${data.v} != ${Config.PRESET_VERSION}; loading what matches`);
+    /** @type {ConfigPatch} */
+    const patch = {};
+    for (const key of Object.keys(data))
+    {
+      if (key !== "v" && !Config.sections().includes(/** @type {any} */ (key))) console.warn(`Preset: unknown section "${key}"`);
+    }
+    for (const key of Config.sections())
+    {
+      const def = /** @type {Record<string, any>} */ (Config.#defaults[key]);
+      const src = data[key] && typeof data[key] === "object" ? data[key] : {};
+      /** @type {Record<string, any>} */
+      const sec = {};
+      for (const k of Object.keys(def))
+      {
+        sec[k] = def[k] instanceof THREE.Vector3 ? def[k].clone() : Array.isArray(def[k]) ? structuredClone(def[k]) : def[k];
+        if (!(k in src)) continue;
+        const v = src[k];
+        if (def[k] instanceof THREE.Vector3 && Array.isArray(v) && v.length === 3 && v.every(Number.isFinite)) sec[k] = new THREE.Vector3().fromArray(v);
+        else if (Array.isArray(def[k]) !== Array.isArray(v)) console.warn(`Preset: ignoring bad value for ${key}.${k}`);
+        else if (Array.isArray(v))
+        {
+          sec[k] = v.filter((item) => listItemOk(item, def[k][0]));
+          if (sec[k].length < v.length) console.warn(`Preset: dropped ${v.length - sec[k].length} bad entries from ${key}.${k}`);
+        }
+        else if (typeof def[k] === typeof v && (typeof v !== "number" || Number.isFinite(v))) sec[k] = v;
+        else console.warn(`Preset: ignoring bad value for ${key}.${k}`);
+      }
+      for (const k of Object.keys(src))
+      {
+        if (!(k in def)) console.warn(`Preset: unknown key "${key}.${k}"`);
+      }
+      patch[key] = sec;
+    }
+    return Config.update(patch);
+  }
+
+  /**
+   * Encode the current config as a URL hash fragment.
+   * @returns {string} e.g. "#preset=eyJ2IjoxfQ"
+   */
+  static toHash() {
+    const bytes = new TextEncoder().encode(JSON.stringify(Config.serialize()));
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return "#preset=" + btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  /**
+   * Load a preset from a URL hash (e.g. location.hash). No-op if the hash carries no preset.
+   * @param {string} hash
+   * @returns {boolean} true if a preset was applied
+   */
+  static fromHash(hash) {
+    const m = /(?:^#|&)preset=([A-Za-z0-9_-]+)/.exec(hash || "");
+    if (!m) return false;
+    try
+    {
+      const b64 = m[1].replace(/-/g, "+").replace(/_/g, "/");
+      const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+      const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+      Config.deserialize(JSON.parse(new TextDecoder().decode(bytes)));
+      return true;
+    } catch (e)
+    {
+      console.warn("Ignoring malformed preset hash:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Names of the config subsections, in declaration order.
+   * @returns {Array<keyof Config>}
+   */
+  static sections() {
+    return /** @type {Array<keyof Config>} */ (Object.keys(Config.#defaults));
+  }
+
+  /**
+   * Sections read by one kind of page only, not by the Soundscape3 visualizer. They stay
+   * out of presets and the tweak panel unless the page claims them with usePageSections().
+   * @type {ReadonlyArray<keyof Config>}
+   */
+  static PAGE_SECTIONS = ["particles", "voxels", "ball"];
+
+  /** @type {Set<keyof Config>} */
+  static #claimed = new Set();
+
+  /**
+   * Claim page-specific sections for this page, e.g. Config.usePageSections("particles").
+   * @param {...keyof Config} sections
+   */
+  static usePageSections(...sections) {
+    for (const s of sections) Config.#claimed.add(s);
+  }
+
+  /**
+   * Sections that apply to this page: the shared ones plus any claimed page-specific ones.
+   * @returns {Array<keyof Config>}
+   */
+  static pageSections() {
+    return Config.sections().filter((s) => !Config.PAGE_SECTIONS.includes(s) || Config.#claimed.has(s));
+  }
 
   /** Visual starfield parameters. */
   starfield;
@@ -54,12 +288,33 @@ export class Config {
   lights;
   /** Morph/gating envelope. */
   morph;
-  /** FFT smoothing constants. */
+  /**
+   * Morph targets the mesh blends between, and what picks the current one (see Shapes.js).
+   * @type {{list:string[], mode:import("Shapes").ShapeMode, position:number, fade:number, beats:number}}
+   */
+  shapes;
+  /** FFT smoothing constants (fallback for bands without their own). */
   smoothing;
+  /** Named frequency bands published by the analysis. */
+  bands;
+  /** Audio -> visual routes (see Modulation.js). */
+  modulation;
+  /** Onset/beat tracking and how hard beats kick the visuals. */
+  beat;
+  /** Whole-track pre-analysis and how far ahead of a drop the visuals start ramping. */
+  lookahead;
   /** Orbit camera path parameters. */
   orbit;
   /** Drag/spin controls. */
   spin;
+  /** Palette key and accumulated wheel hue offset. */
+  theme;
+  /** Render resolution of the 2D particle pages (page-specific, see PAGE_SECTIONS). */
+  particles;
+  /** The /victory voxel cube (page-specific). */
+  voxels;
+  /** The /ball noise ball (page-specific). */
+  ball;
 
   constructor() {
     /** @type {{mainCount:number, blurCount:number, radius:number, mainSize:number, blurSize:number, mainOpacity:number, blurOpacity:number}} */
@@ -87,13 +342,94 @@ export class Config {
     /** @type {{threshold:number, knee:number, attack:number, release:number, envInit:number}} */
     this.morph = { threshold: 0.55, knee: 1.6 - 0.55, attack: 0.07, release: 0.05, envInit: 0.9 };
 
+    // Empty list = the page's data-stl; entries are STL URLs or "torus" / "cube" / "star"
+    /** @type {{list:string[], mode:import("Shapes").ShapeMode, position:number, fade:number, beats:number}} */
+    this.shapes = { list: [], mode: "crossfade", position: 0, fade: 0.8, beats: 8 };
+
     /** @type {{slow:number, fast:number}} */
     this.smoothing = { slow: 0.04, fast: 0.02 };
 
+    // Log-spaced, a factor of ~3.16 (a decade per two bands) from 20 Hz to 20 kHz
+    /** @type {{list: BandDef[]}} */
+    this.bands = {
+      list: [
+        { name: "sub", lo: 20, hi: 63, slow: 0.04, fast: 0.02 },
+        { name: "bass", lo: 63, hi: 200, slow: 0.04, fast: 0.02 },
+        { name: "lowMid", lo: 200, hi: 630, slow: 0.04, fast: 0.03 },
+        { name: "mid", lo: 630, hi: 2000, slow: 0.04, fast: 0.03 },
+        { name: "presence", lo: 2000, hi: 6300, slow: 0.05, fast: 0.04 },
+        { name: "air", lo: 6300, hi: 20000, slow: 0.06, fast: 0.05 },
+      ],
+    };
+
+    // Routes are additive on top of each target's base; see Visualizer.modTargets()
+    /** @type {{routes: import("Modulation").ModRoute[]}} */
+    this.modulation = {
+      routes: [
+        { source: "band.overall", target: "uniform.uReactivity", min: 0.9, max: 3.5 },
+        { source: "band.presence", target: "orbit.speed", min: 0, max: 0.7 },
+        { source: "band.overall", target: "orbit.speed", min: 0, max: 0.2 },
+        { source: "band.overall", target: "starfield.spinY", min: 0, max: 0.02 },
+        { source: "band.presence", target: "starfield.spinX", min: 0, max: 0.006 },
+        { source: "band.bass", target: "camera.dolly", min: 0, max: 0.25 },
+        { source: "band.mid", target: "hue", min: 0, max: 0.45 },
+        { source: "band.mid", target: "flow", min: 0, max: 0.84 },
+        { source: "band.presence", target: "flow", min: 0, max: 1.56 },
+        { source: "band.overall", target: "lights", min: 0, max: -0.55 },
+        { source: "band.overall", target: "bloom", min: 0, max: -0.55 },
+      ],
+    };
+
+    /** @type {{sensitivity:number, window:number, minInterval:number, minBpm:number, maxBpm:number, decay:number, morphKick:number, cameraKick:number, bloomKick:number}} */
+    this.beat = { sensitivity: 1.5, window: 1, minInterval: 0.12, minBpm: 70, maxBpm: 180, decay: 0.18, morphKick: 0.3, cameraKick: 0.12, bloomKick: 0.6 };
+
+    // Off by default: it fetches and decodes the whole track
+    /** @type {{enabled:boolean, lead:number, morph:number, camera:number}} */
+    this.lookahead = { enabled: false, lead: 4, morph: 0.35, camera: 0.4 };
+
     /** @type {{baseSpeed:number, a:number, b:number}} */
     this.orbit = { baseSpeed: 0.015, a: 0.45, b: 0.33 };
 
     /** @type {{damp:number, maxOmega:number, dragSensitivity:number}} */
     this.spin = { damp: 0.8, maxOmega: 3.7, dragSensitivity: 0.002 };
+
+    /** @type {{palette:string, hue:number}} */
+    this.theme = { palette: "burn", hue: 0 };
+
+    // 2D particle pages (Particles2D.js): device pixels per CSS pixel, 1 = the original look
+    /** @type {{resolution:number}} */
+    this.particles = { resolution: 1 };
+
+    // The /victory cube (VoxelCube.js); size 15 and full spread are the original page
+    /** @type {{size:number, spin:number, trails:number, glow:number, spread:number, pump:number}} */
+    this.voxels = { size: 15, spin: 1, trails: 0.8, glow: 0.8, spread: 1, pump: 0.3 };
+
+    // The /ball page (NoiseBall.js); gains of 1 and detail 4 are the original page
+    /** @type {{bass:number, treble:number, ground:number, spin:number, detail:number}} */
+    this.ball = { bass: 1, treble: 1, ground: 1, spin: 1, detail: 4 };
   }
 }
+
+/**
+ * @param {any} v
+ * @returns {v is Record<string, any>}
+ */
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+}
+
+/**
+ * Whether a preset list entry looks like the default list's entries: a string like a string
+ * sample, or a plain object like an object sample, with the sample's string fields (name,
+ * source, target) present and every other field it has of the sample's type. Lists that
+ * are empty by default (shapes.list) hold strings.
+ * @param {any} item
+ * @param {any} sample - First entry of the default list, if any.
+ * @returns {boolean}
+ */
+function listItemOk(item, sample) {
+  if (!isPlainObject(sample)) return typeof item === (sample === undefined ? "string" : typeof sample);
+  if (!isPlainObject(item)) return false;
+  return Object.entries(sample).every(([k, d]) =>
+    k in item ? typeof item[k] === typeof d && (typeof d !== "number" || Number.isFinite(item[k])) : typeof d !== "string");
+}
@@ -0,0 +1,239 @@
+// @ts-check
+import * as THREE from "three";
+import { Config } from "Config";
+import { listPalettes } from "Utility";
+import { SHAPE_MODES } from "Shapes";
+
+/** ============================== Dev Panel ==============================
+ * dat.GUI tweak panel generated from Config.SCHEMA: one folder per Config section,
+ * sliders for numeric keys, per-axis sliders for light directions, a subfolder per
+ * entry of list-valued keys (bands, routes), palette and shape-mode dropdowns. Edits go
+ * through Config.update(), so the running Visualizer previews them live; outside changes
+ * (presets, page sliders, the modulation editor) are reflected back.
+ *
+ * Opens at boot with ?debug in the URL; the backquote key (`) toggles it anywhere.
+ * dat.gui.min.js is only fetched the first time the panel opens.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+const DAT_GUI_URL = "/dat.gui.min.js";
+const TOGGLE_KEY = "`";
+
+/** @type {Promise<any>|null} */
+let datLoading = null;
+/** @type {Promise<any>|null} */
+let panel = null;
+
+/**
+ * Load dat.gui (UMD global) once.
+ * @returns {Promise<any>} the `dat` namespace
+ */
+function loadDat() {
+  const w = /** @type {any} */ (window);
+  if (w.dat) return Promise.resolve(w.dat);
+  datLoading ??= new Promise((resolve, reject) => {
+    const s = document.createElement("script");
+    s.src = DAT_GUI_URL;
+    s.onload = () => resolve(w.dat);
+    s.onerror = () => { datLoading = null; reject(new Error(`Failed to load ${DAT_GUI_URL}`)); };
+    document.head.appendChild(s);
+  });
+  return datLoading;
+}
+
+/**
+ * Build the panel from Config.SCHEMA. The GUI is rebuilt from scratch when a list-valued
+ * key gains, loses or renames entries elsewhere (a preset, the modulation editor), since
+ * its subfolders are made per entry.
+ * @param {any} dat
+ * @returns {HTMLElement} the panel's host element
+ */
+function buildPanel(dat) {
+  const host = document.createElement("div");
+  host.id = "dev-panel";
+  Object.assign(host.style, { position: "fixed", top: "0", left: "0", zIndex: "100", maxHeight: "100vh", overflowY: "auto" });
+  document.body.appendChild(host);
+
+  /** @type {any} */
+  let g = null;
+  /** @type {(() => void)|null} */
+  let unsubscribe = null;
+
+  function build() {
+    unsubscribe?.();
+    if (g)
+    {
+      g.destroy();
+      g.domElement.remove();
+    }
+    g = new dat.GUI({ autoPlace: false, width: 320 });
+    host.appendChild(g.domElement);
+
+    /**
+     * Shadow copy the controllers bind to; writes are forwarded to Config.update().
+     * @type {Record<string, Record<string, any>>}
+     */
+    const model = {};
+    /** @type {Array<{section: keyof Config, refresh: () => boolean}>} refresh() is false once it rebuilt the GUI */
+    const bindings = [];
+
+    // Only what this page uses; e.g. the particle pages' section stays off the track pages
+    for (const section of Config.pageSections())
+    {
+      const cur = /** @type {Record<string, any>} */ (Config.read(section));
+      const ranges = Config.SCHEMA[section] || {};
+      const folder = g.addFolder(section);
+      /** @type {Record<string, any>} */
+      const m = (model[section] = {});
+      /** @type {any[]} */
+      const ctrls = [];
+      /** @type {Record<string, string>} */
+      const listShapes = {};
+
+      for (const key of Object.keys(cur))
+      {
+        const v = cur[key];
+        if (v instanceof THREE.Vector3)
+        {
+          const sub = folder.addFolder(key);
+          const axes = (m[key] = { x: v.x, y: v.y, z: v.z });
+          for (const axis of ["x", "y", "z"])
+          {
+            ctrls.push(sub.add(axes, axis, -1, 1).step(0.01).onChange(() => {
+              Config.update({ [section]: { [key]: [axes.x, axes.y, axes.z] } });
+            }));
+          }
+        } else if (Array.isArray(v) && v.every((it) => it && typeof it === "object"))
+        {
+          // Named entries (bands, routes): one subfolder each, fields ranged by SCHEMA;
+          // the list is replaced as a whole on edit
+          const items = (m[key] = v.map((it) => ({ ...it })));
+          listShapes[key] = listShape(v);
+          items.forEach((it, i) => {
+            const sub = folder.addFolder(entryLabel(it, i));
+            for (const field of Object.keys(it))
+            {
+              if (!ranges[field] || typeof it[field] !== "number") continue;
+              const [min, max, step] = ranges[field];
+              ctrls.push(sub.add(it, field, min, max).step(step).onChange(() => {
+                Config.update({ [section]: { [key]: items.map((x) => ({ ...x })) } });
+              }));
+            }
+          });
+        } else if (section === "theme" && key === "palette")
+        {
+          m[key] = v;
+          const options = Object.fromEntries(listPalettes().map((p) => [p.label, p.id]));
+          ctrls.push(folder.add(m, key, options).onChange((/** @type {string} */ id) => {
+            Config.update({ theme: { palette: id, hue: 0 } });
+          }));
+        } else if (section === "shapes" && key === "mode")
+        {
+          m[key] = v;
+          ctrls.push(folder.add(m, key, [...SHAPE_MODES]).onChange((/** @type {string} */ mode) => {
+            Config.update({ shapes: { mode } });
+          }));
+        } else if (typeof v === "boolean")
+        {
+          m[key] = v;
+          ctrls.push(folder.add(m, key).onChange((/** @type {boolean} */ on) => {
+            Config.update({ [section]: { [key]: on } });
+          }));
+        } else if (ranges[key])
+        {
+          const [min, max, step] = ranges[key];
+          m[key] = v;
+          ctrls.push(folder.add(m, key, min, max).step(step).onChange((/** @type {number} */ x) => {
+            Config.update({ [section]: { [key]: x } });
+          }));
+        }
+      }
+
+      bindings.push({
+        section,
+        refresh() {
+          const live = /** @type {Record<string, any>} */ (Config.read(section));
+          // Entries came, went or were renamed: the subfolders no longer match, so start over
+          if (Object.keys(listShapes).some((key) => listShape(live[key]) !== listShapes[key]))
+          {
+            build();
+            return false;
+          }
+          for (const key of Object.keys(m))
+          {
+            const v = live[key];
+            if (v instanceof THREE.Vector3) Object.assign(m[key], { x: v.x, y: v.y, z: v.z });
+            else if (Array.isArray(v)) m[key].forEach((/** @type {any} */ it, /** @type {number} */ i) => Object.assign(it, v[i]));
+            else m[key] = v;
+          }
+          for (const c of ctrls) c.updateDisplay();
+          return true;
+        },
+      });
+    }
+
+    unsubscribe = Config.onChange(({ sections }) => {
+      for (const b of bindings) if (sections.includes(b.section) && !b.refresh()) return;
+    });
+  }
+
+  build();
+  return host;
+}
+
+/**
+ * Subfolder name for a list entry: a band's name, a route's "i: source → target", else
+ * the index. dat.GUI needs these unique within a folder.
+ * @param {Record<string, any>} it
+ * @param {number} i
+ * @returns {string}
+ */
+function entryLabel(it, i) {
+  return String(it.name ?? (it.target ? `${i}: ${it.source} → ${it.target}` : i));
+}
+
+/**
+ * What the panel's subfolders for a list depend on: entry labels and field names.
+ * @param {Array<Record<string, any>>} list
+ * @returns {string}
+ */
+function listShape(list) {
+  return JSON.stringify(list.map((it, i) => [entryLabel(it, i), Object.keys(it)]));
+}
+
+/**
+ * Show, hide or toggle the panel, building it on first use.
+ * @param {boolean} [open] omit to toggle
+ * @returns {Promise<void>}
+ */
+export async function setDevPanelOpen(open) {
+  if (!panel)
+  {
+    if (open === false) return;
+    panel = loadDat().then(buildPanel);
+    panel.catch(() => { panel = null; });
+    await panel;
+    return;
+  }
+  await panel;
+  const host = /** @type {HTMLElement} */ (document.getElementById("dev-panel"));
+  const show = open ?? host.style.display === "none";
+  host.style.display = show ? "" : "none";
+}
+
+/**
+ * Wire the toggle key and open immediately when the URL carries ?debug.
+ * @returns {void}
+ */
+export function installDevPanel() {
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== TOGGLE_KEY || e.repeat) return;
+    const t = /** @type {HTMLElement|null} */ (e.target);
+    if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+    setDevPanelOpen().catch((err) => console.error(err));
+  });
+  if (new URLSearchParams(location.search).has("debug"))
+    setDevPanelOpen(true).catch((err) => console.error(err));
+}
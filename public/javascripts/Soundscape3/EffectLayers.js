@@ -0,0 +1,215 @@
+// @ts-check
+import * as THREE from "three";
+import { Layer, registerLayer } from "Layers";
+import { clamp, disposeObject, lerp } from "Utility";
+
+/* ============================== Effect Layers ============================== */
+/**
+ * Small built-in layers to stack on top of the defaults, and worked examples of the
+ * Layer interface (see Layers.js):
+ *
+ *   "ring"    A particle ring around the mesh. Each particle sits on its spectrum bin, and
+ *             the ring breathes with the bass and kicks on the beat.
+ *             Options: count (256), radius (1.6), size (0.035).
+ *             Modulation: "<id>.spin".
+ *   "ribbon"  The waveform as a line under the mesh (the spectrum when the analyser has no
+ *             time-domain data).
+ *             Options: points (256), width (3.2), height (0.35), y (-1.15).
+ *             Modulation: "<id>.amp".
+ *
+ * Both take their colors from the palette and repaint on a theme change.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+export class RingLayer extends Layer {
+  /** @param {Record<string, any>} [options] */
+  constructor(options) {
+    super(options);
+    /** @type {import("Visualizer").Visualizer|null} */
+    this.viz = null;
+    this.count = Math.max(8, this.options.count ?? 256) | 0;
+    this.radius = this.options.radius ?? 1.6;
+    this.spin = 0;
+    /** Particle positions, xyz per particle. */
+    this.pos = new Float32Array(this.count * 3);
+    /** @type {THREE.Points|null} */
+    this.points = null;
+  }
+
+  /** @param {import("Visualizer").Visualizer} viz */
+  init(viz) {
+    this.viz = viz;
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute("position", new THREE.BufferAttribute(this.pos, 3));
+    geom.setAttribute("color", new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+    const mat = new THREE.PointsMaterial({
+      size: this.options.size ?? 0.035,
+      sizeAttenuation: true,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.9,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+    this.points = new THREE.Points(geom, mat);
+    this.paint();
+    viz.scene.add(this.points);
+  }
+
+  /** Glow at the top of the ring fading to the base color at the bottom. */
+  paint() {
+    const pal = /** @type {import("Visualizer").Visualizer} */ (this.viz).pal;
+    const geom = /** @type {THREE.Points} */ (this.points).geometry;
+    const col = /** @type {Float32Array} */ (geom.getAttribute("color").array);
+    const c = new THREE.Color();
+    for (let i = 0; i < this.count; i++)
+    {
+      const k = 0.5 + 0.5 * Math.cos((i / this.count) * Math.PI * 2);
+      c.copy(pal.base).lerp(pal.glow, k);
+      col[i * 3] = c.r;
+      col[i * 3 + 1] = c.g;
+      col[i * 3 + 2] = c.b;
+    }
+    geom.getAttribute("color").needsUpdate = true;
+  }
+
+  /** @param {Array<keyof import("Config").Config>} sections */
+  applyConfig(sections) {
+    if (this.points && sections.includes("theme")) this.paint();
+  }
+
+  /** @param {import("Layers").LayerFrame} frame */
+  update({ viz, pulse, mod }) {
+    const points = /** @type {THREE.Points} */ (this.points);
+    const pos = this.pos;
+    const spec = viz.spec;
+    // Lower two thirds of the spectrum, mirrored so the ring has no seam
+    const bins = Math.floor(spec.length * 0.66);
+    const breathe = 1 + 0.25 * viz.band("bass") + 0.12 * pulse;
+    for (let i = 0; i < this.count; i++)
+    {
+      const u = i / this.count;
+      const bin = Math.floor((u < 0.5 ? u * 2 : (1 - u) * 2) * (bins - 1));
+      const amp = spec[bin] / 255;
+      const r = this.radius * breathe + amp * 0.35;
+      const a = u * Math.PI * 2;
+      pos[i * 3] = Math.sin(a) * r;
+      pos[i * 3 + 1] = Math.cos(a) * r;
+      pos[i * 3 + 2] = 0;
+    }
+    points.geometry.getAttribute("position").needsUpdate = true;
+    this.spin += 0.003 + mod(`${this.id}.spin`);
+    points.rotation.z = this.spin;
+  }
+
+  reset() {
+    this.spin = 0;
+  }
+
+  dispose() {
+    if (!this.points) return;
+    this.points.removeFromParent();
+    disposeObject(this.points);
+    this.points = null;
+  }
+
+  modTargets() {
+    return [`${this.id}.spin`];
+  }
+}
+
+export class RibbonLayer extends Layer {
+  /** @param {Record<string, any>} [options] */
+  constructor(options) {
+    super(options);
+    /** @type {import("Visualizer").Visualizer|null} */
+    this.viz = null;
+    this.count = Math.max(2, this.options.points ?? 256) | 0;
+    this.width = this.options.width ?? 3.2;
+    this.height = this.options.height ?? 0.35;
+    /** @type {Float32Array|null} Time-domain scratch, sized from the analyser. */
+    this.wave = null;
+    /** Line vertices, xyz per point, spread evenly across the width. */
+    this.pos = new Float32Array(this.count * 3);
+    for (let i = 0; i < this.count; i++) this.pos[i * 3] = (i / (this.count - 1) - 0.5) * this.width;
+    /** @type {THREE.Line|null} */
+    this.line = null;
+  }
+
+  /** @param {import("Visualizer").Visualizer} viz */
+  init(viz) {
+    this.viz = viz;
+
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute("position", new THREE.BufferAttribute(this.pos, 3));
+    const mat = new THREE.LineBasicMaterial({
+      color: viz.pal.glow.clone(),
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+    this.line = new THREE.Line(geom, mat);
+    this.line.position.y = this.options.y ?? -1.15;
+    viz.scene.add(this.line);
+  }
+
+  /** @param {Array<keyof import("Config").Config>} sections */
+  applyConfig(sections) {
+    if (!this.line || !sections.includes("theme")) return;
+    const pal = /** @type {import("Visualizer").Visualizer} */ (this.viz).pal;
+    /** @type {THREE.LineBasicMaterial} */ (this.line.material).color.copy(pal.glow);
+  }
+
+  /** @param {import("Layers").LayerFrame} frame */
+  update({ viz, mod }) {
+    const line = /** @type {THREE.Line} */ (this.line);
+    const pos = this.pos;
+    const an = /** @type {any} */ (viz.analyser);
+    const gain = this.height * Math.max(0, 1 + mod(`${this.id}.amp`));
+    /** @type {(u: number) => number} Signed sample at 0..1 across the ribbon. */
+    let sample;
+    if (typeof an.getFloatTimeDomainData === "function")
+    {
+      const size = an.fftSize || viz.spec.length * 2;
+      if (!this.wave || this.wave.length !== size) this.wave = new Float32Array(size);
+      an.getFloatTimeDomainData(this.wave);
+      const wave = this.wave;
+      sample = (u) => clamp(wave[Math.floor(u * (wave.length - 1))] * 2, -1, 1);
+    } else
+    {
+      const spec = viz.spec;
+      sample = (u) => spec[Math.floor(u * 0.66 * (spec.length - 1))] / 255;
+    }
+    for (let i = 0; i < this.count; i++)
+    {
+      const u = i / (this.count - 1);
+      // Pinned at both ends, full swing in the middle
+      const taper = Math.sin(u * Math.PI);
+      pos[i * 3 + 1] = lerp(pos[i * 3 + 1], sample(u) * gain * taper, 0.5);
+    }
+    line.geometry.getAttribute("position").needsUpdate = true;
+  }
+
+  reset() {
+    const pos = this.pos;
+    for (let i = 0; i < this.count; i++) pos[i * 3 + 1] = 0;
+  }
+
+  dispose() {
+    if (!this.line) return;
+    this.line.removeFromParent();
+    disposeObject(this.line);
+    this.line = null;
+  }
+
+  modTargets() {
+    return [`${this.id}.amp`];
+  }
+}
+
+registerLayer("ring", RingLayer);
+registerLayer("ribbon", RibbonLayer);
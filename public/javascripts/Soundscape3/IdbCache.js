@@ -0,0 +1,241 @@
+// @ts-check
+
+/* ============================== IndexedDB Cache ============================== */
+/**
+ * Least-recently-used key/value store in IndexedDB with a byte budget. The analysis
+ * cache (Analysis.js) and the morph target cache (MorphCache.js) are instances of it.
+ *
+ * Entries carry the owner's format `version`; reads of another version miss and writes
+ * evict them first, then the least recently used until the store fits in `maxBytes`.
+ *
+ * Every lookup dispatches "hit" or "miss" (detail: {key, bytes}), every write "put"
+ * (same detail), and clear() "clear". Counters are in `stats`. Without IndexedDB (some
+ * private modes) every get() misses and put() is a no-op. Failed writes are logged,
+ * not thrown.
+ *
+ *   const cache = new IdbCache({ name: "soundscape-x", store: "items", label: "X", version: 1 });
+ *   const data = await cache.get(await hashBytes(bytes)) ?? compute();
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/**
+ * @typedef {Object} IdbCacheEntry
+ * @property {string} key
+ * @property {number} version - Owner's format version the data was made with.
+ * @property {any} data - Anything structured-cloneable.
+ * @property {number} bytes - Size as reported by the writer, for the budget.
+ * @property {number} lastUsed - Date.now() of the last hit or write.
+ */
+
+/**
+ * @typedef {Object} IdbCacheOptions
+ * @property {string} name - Database name.
+ * @property {string} store - Object store name.
+ * @property {string} label - Used in log messages ("<label> cache write failed").
+ * @property {number} maxBytes - Byte budget.
+ * @property {number} version - Current format version.
+ * @property {() => void} [onOpen] - Runs once the database has opened.
+ */
+
+/**
+ * Hex content hash: SHA-256 where SubtleCrypto is available (secure contexts), else a
+ * 64-bit FNV-1a (two 32-bit lanes) plus the length.
+ * @param {ArrayBuffer} bytes
+ * @returns {Promise<string>}
+ */
+export async function hashBytes(bytes) {
+  if (globalThis.crypto?.subtle)
+  {
+    const d = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+    return Array.from(d, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+  const u8 = new Uint8Array(bytes);
+  let a = 0x811c9dc5, b = 0xcbf29ce4;
+  for (let i = 0; i < u8.length; i++)
+  {
+    a = Math.imul(a ^ u8[i], 0x01000193);
+    b = Math.imul(b ^ u8[i], 0x01000193) ^ (a >>> 7);
+  }
+  return `fnv${(a >>> 0).toString(16).padStart(8, "0")}${(b >>> 0).toString(16).padStart(8, "0")}-${u8.length}`;
+}
+
+/**
+ * Promise for an IndexedDB request's result.
+ * @template T
+ * @param {IDBRequest<T>} req
+ * @returns {Promise<T>}
+ */
+export function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Promise that settles when a transaction commits or fails.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+export class IdbCache extends EventTarget {
+  /**
+   * @param {IdbCacheOptions} opts
+   */
+  constructor(opts) {
+    super();
+    this.name = opts.name;
+    this.store = opts.store;
+    this.label = opts.label;
+    this.maxBytes = opts.maxBytes;
+    this.version = opts.version;
+    this.onOpen = opts.onOpen;
+    /** Lookups since load. */
+    this.stats = { hits: 0, misses: 0 };
+    /** @type {Promise<IDBDatabase|null>|null} */
+    this._db = null;
+  }
+
+  /** @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable */
+  #open() {
+    this._db ??= (async () => {
+      if (typeof indexedDB === "undefined") return null;
+      try
+      {
+        const req = indexedDB.open(this.name, 1);
+        req.onupgradeneeded = () => {
+          const store = req.result.createObjectStore(this.store, { keyPath: "key" });
+          store.createIndex("lastUsed", "lastUsed");
+        };
+        const db = await idbRequest(req);
+        this.onOpen?.();
+        return db;
+      } catch (e)
+      {
+        console.warn(`${this.label} cache unavailable:`, e);
+        return null;
+      }
+    })();
+    return this._db;
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [bytes] - Expected size; a mismatch counts as a miss.
+   * @returns {Promise<any>} The stored data, or null.
+   */
+  async get(key, bytes) {
+    const db = await this.#open();
+    /** @type {IdbCacheEntry|undefined} */
+    let entry;
+    try
+    {
+      if (db) entry = await idbRequest(db.transaction(this.store).objectStore(this.store).get(key));
+    } catch (e)
+    {
+      console.warn(`${this.label} cache read failed:`, e);
+    }
+    const ok = entry && entry.version === this.version && (bytes === undefined || entry.bytes === bytes);
+    if (!ok || !entry || !db)
+    {
+      this.stats.misses++;
+      this.dispatchEvent(new CustomEvent("miss", { detail: { key, bytes: 0 } }));
+      return null;
+    }
+    this.stats.hits++;
+    this.dispatchEvent(new CustomEvent("hit", { detail: { key, bytes: entry.bytes } }));
+    // Touch for LRU; nobody waits on it
+    const tx = db.transaction(this.store, "readwrite");
+    tx.objectStore(this.store).put({ ...entry, lastUsed: Date.now() });
+    idbDone(tx).catch(() => { });
+    return entry.data;
+  }
+
+  /**
+   * Store `data` under `key`, then evict down to the byte budget.
+   * @param {string} key
+   * @param {any} data - Structured-cloned, so the caller may keep mutating its copy.
+   * @param {number} bytes - Size counted against the budget.
+   * @returns {Promise<void>}
+   */
+  async put(key, data, bytes) {
+    const db = await this.#open();
+    if (!db) return;
+    /** @type {IdbCacheEntry} */
+    const entry = { key, version: this.version, data, bytes, lastUsed: Date.now() };
+    try
+    {
+      const tx = db.transaction(this.store, "readwrite");
+      tx.objectStore(this.store).put(entry);
+      await idbDone(tx);
+      await this.#evict(db);
+      this.dispatchEvent(new CustomEvent("put", { detail: { key, bytes } }));
+    } catch (e)
+    {
+      console.warn(`${this.label} cache write failed:`, e);
+    }
+  }
+
+  /**
+   * Entry count and stored bytes.
+   * @returns {Promise<{entries: number, bytes: number}>}
+   */
+  async usage() {
+    const db = await this.#open();
+    let entries = 0, bytes = 0;
+    if (!db) return { entries, bytes };
+    const tx = db.transaction(this.store);
+    const req = tx.objectStore(this.store).openCursor();
+    await new Promise((resolve, reject) => {
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return resolve(undefined);
+        entries++;
+        bytes += /** @type {IdbCacheEntry} */ (cur.value).bytes;
+        cur.continue();
+      };
+    });
+    return { entries, bytes };
+  }
+
+  /** Delete every entry and reset the counters. */
+  async clear() {
+    const db = await this.#open();
+    if (db)
+    {
+      const tx = db.transaction(this.store, "readwrite");
+      tx.objectStore(this.store).clear();
+      await idbDone(tx);
+    }
+    this.stats.hits = this.stats.misses = 0;
+    this.dispatchEvent(new CustomEvent("clear"));
+  }
+
+  /**
+   * Drop entries from other versions, then the least recently used until under budget.
+   * @param {IDBDatabase} db
+   */
+  async #evict(db) {
+    const tx = db.transaction(this.store, "readwrite");
+    const req = tx.objectStore(this.store).index("lastUsed").openCursor(null, "prev");
+    let kept = 0;
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return;
+      const e = /** @type {IdbCacheEntry} */ (cur.value);
+      if (e.version !== this.version || kept + e.bytes > this.maxBytes) cur.delete();
+      else kept += e.bytes;
+      cur.continue();
+    };
+    await idbDone(tx);
+  }
+}
@@ -0,0 +1,137 @@
+// @ts-check
+
+/* ============================== Layers ============================== */
+/**
+ * Scene layers: the pieces a Visualizer draws, as plugins. The Visualizer keeps the
+ * renderer, camera, bloom and audio analysis; everything in the scene comes from its
+ * layer stack, in order. Built-ins: "starfield" (StarfieldLayer.js), "mesh"
+ * (MeshLayer.js), "ring" and "ribbon" (EffectLayers.js).
+ *
+ * A layer extends Layer and is registered under a type name:
+ *
+ *   class Sparkles extends Layer {
+ *     init(viz) { this.points = ...; viz.scene.add(this.points); }
+ *     update(frame) { this.points.scale.setScalar(1 + frame.viz.band("presence")); }
+ *     dispose() { this.points.removeFromParent(); disposeObject(this.points); }
+ *   }
+ *   registerLayer("sparkles", Sparkles);
+ *
+ * init() gets the Visualizer (scene, camera, pal, band(), features, beat, analysis);
+ * Config is read directly and changed sections arrive through applyConfig(). Layers name
+ * their modulation targets "<id>.<param>" and read them with frame.mod().
+ *
+ * Pages pick a stack with data-layers (or the catalog's `layers`): a JSON array of specs
+ * or a comma-separated list of types. A spec is a type name or {type, id?, ...options}.
+ * The Visualizer skips unknown types with a warning; the catalog rejects them at startup.
+ * Register custom types before the Visualizer is created; the render worker only knows
+ * the types its own imports register.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** @typedef {string | {type: string, id?: string, [option: string]: any}} LayerSpec */
+
+/**
+ * What every layer's update() gets, once per frame.
+ * @typedef {Object} LayerFrame
+ * @property {import("Visualizer").Visualizer} viz
+ * @property {number} t - Seconds.
+ * @property {number} dt - Seconds since the last frame (capped at 0.1).
+ * @property {number} pulse - Beat pulse, 1 on the beat decaying to 0.
+ * @property {number} ahead - Drop ramp from the look-ahead, 0..1.
+ * @property {(id: string) => number} mod - Summed modulation routes for a target (0 without any).
+ * @property {Map<string, number>} routes - Every evaluated route target, for prefix lookups.
+ * @property {{x: number, y: number}} orbit - Camera orbit offset of this frame.
+ * @property {{x: number, y: number}} spin - Drag and gyro rotation to apply this frame, in radians.
+ */
+
+/** Stack used when a page does not declare one; the look before layers existed. */
+export const DEFAULT_LAYERS = Object.freeze(["starfield", "mesh"]);
+
+export class Layer {
+  /**
+   * @param {Record<string, any>} [options] - The spec's fields (minus type and id).
+   */
+  constructor(options = {}) {
+    this.options = options;
+    /** Unique within a stack; set by the Visualizer. */
+    this.id = "";
+  }
+
+  /**
+   * Build objects and add them to viz.scene.
+   * @param {import("Visualizer").Visualizer} viz
+   */
+  init(viz) { }
+
+  /** @param {LayerFrame} frame */
+  update(frame) { }
+
+  /** @param {Array<keyof import("Config").Config>} sections - Config sections that changed. */
+  applyConfig(sections) { }
+
+  /** Back to the boot state, for reproducible renders (see Visualizer.resetMotion()). */
+  reset() { }
+
+  /** Remove everything init() added and free its GPU resources. */
+  dispose() { }
+
+  /** @returns {string[]} Modulation targets this layer reads. */
+  modTargets() {
+    return [];
+  }
+}
+
+/** @type {Map<string, new (options?: Record<string, any>) => Layer>} */
+const registry = new Map();
+
+/**
+ * @param {string} type
+ * @param {new (options?: Record<string, any>) => Layer} ctor
+ */
+export function registerLayer(type, ctor) {
+  if (registry.has(type)) console.warn(`Layer type "${type}" re-registered`);
+  registry.set(type, ctor);
+}
+
+/** @returns {string[]} Registered layer types. */
+export function layerTypes() {
+  return [...registry.keys()];
+}
+
+/**
+ * @param {LayerSpec} spec
+ * @returns {Layer}
+ */
+export function createLayer(spec) {
+  const { type, id, ...options } = typeof spec === "string" ? { type: spec } : spec;
+  const Ctor = registry.get(type);
+  if (!Ctor) throw new RangeError(`Unknown layer type "${type}" (have ${layerTypes().join(", ")})`);
+  const layer = new Ctor(options);
+  layer.id = id || type;
+  return layer;
+}
+
+/**
+ * Parse a data-layers value.
+ * @param {string|null|undefined} v - JSON array of specs, or "starfield, mesh, ring".
+ * @returns {LayerSpec[]|null} null when empty or unreadable (use DEFAULT_LAYERS).
+ */
+export function parseLayerStack(v) {
+  const s = (v || "").trim();
+  if (!s) return null;
+  if (s.startsWith("["))
+  {
+    try
+    {
+      const list = JSON.parse(s);
+      const ok = Array.isArray(list) && list.every((x) => typeof x === "string" || (x && typeof x.type === "string"));
+      if (ok) return list;
+    } catch { }
+    console.warn("Ignoring bad data-layers:", s);
+    return null;
+  }
+  const list = s.split(",").map((x) => x.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
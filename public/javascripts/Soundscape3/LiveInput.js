@@ -0,0 +1,80 @@
+// @ts-check
+
+/* ============================== Live Input ============================== */
+/**
+ * Microphone / audio-interface capture for the visualizer.
+ *
+ * Opens a getUserMedia stream with browser voice processing turned off (echo
+ * cancellation, noise suppression and AGC all wreck music) and wraps it in a
+ * MediaStreamAudioSourceNode for the caller to wire into its analyser. Never
+ * connect it to the destination: that is the loopback we don't want.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+export class LiveInput {
+  constructor() {
+    /** @type {MediaStream|null} */
+    this.stream = null;
+    /** @type {MediaStreamAudioSourceNode|null} */
+    this.source = null;
+    /** Label of the open device ("" when closed or before permission). */
+    this.label = "";
+    /** deviceId of the open device ("" when closed). */
+    this.deviceId = "";
+  }
+
+  /** @returns {boolean} */
+  static isSupported() {
+    return !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  /**
+   * Audio input devices. Labels are empty until the page has been granted mic access once.
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  static async listDevices() {
+    const all = await navigator.mediaDevices.enumerateDevices();
+    return all.filter((d) => d.kind === "audioinput");
+  }
+
+  /** @returns {boolean} */
+  get active() {
+    return !!this.source;
+  }
+
+  /**
+   * Open a device (closing any previous one) and return its source node.
+   * @param {AudioContext} actx
+   * @param {string} [deviceId] omit or "default" for the system default
+   * @returns {Promise<MediaStreamAudioSourceNode>}
+   */
+  async open(actx, deviceId) {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId && deviceId !== "default" ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+      video: false,
+    });
+    this.close();
+    const track = stream.getAudioTracks()[0];
+    this.stream = stream;
+    this.source = actx.createMediaStreamSource(stream);
+    this.label = track?.label || "Live input";
+    this.deviceId = track?.getSettings().deviceId || deviceId || "default";
+    return this.source;
+  }
+
+  /** Disconnect and release the device. */
+  close() {
+    this.source?.disconnect();
+    this.stream?.getTracks().forEach((t) => t.stop());
+    this.source = null;
+    this.stream = null;
+    this.label = "";
+    this.deviceId = "";
+  }
+}
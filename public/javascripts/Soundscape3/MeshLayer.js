@@ -0,0 +1,641 @@
+// @ts-check
+import * as THREE from "three";
+import { Config } from "Config";
+import { Layer, registerLayer } from "Layers";
+import { MAX_SHAPES, ShapeMixer } from "Shapes";
+import { clamp, disposeObject, palette, smoothstepEdge } from "Utility";
+
+/* ============================== Mesh Layer ============================== */
+/**
+ * Built-in "mesh" layer: the stellated icosahedron, a solid and a wireframe copy sharing
+ * one ShaderMaterial uniform set, driven by the Visualizer's spectrogram texture.
+ *
+ * Per frame it spins with Config.mesh.rotationSpeed plus the drag/gyro spin, runs the
+ * bass-gated morph envelope (plus beat kicks and the drop look-ahead), blends the shape
+ * slots (Shapes.js), drifts the palette hue and integrates the liquid flow.
+ *
+ * Modulation targets: "hue", "flow", "lights", "shapes.position" and "uniform.<name>" for
+ * every numeric shader uniform.
+ *
+ * Shader uniforms
+ * - uTime, uSpec (spectrogram texture), uReactivity, uDistortion
+ * - uBaseColor, uGlowColor
+ * - uKeyDir, uFillDir, uRimDir (normalized light directions)
+ * - uKeyCol, uFillCol, uRimCol (light colors) and uKeyI/uFillI/uRimI (intensities)
+ * - uBassFast, uSpikeStrength, uSpikeSharp, uDirs (stellation directions)
+ * - uMorph (morph/blend between base and displaced geometry)
+ * - uShapeW (blend weights of the morph targets, one per shape slot; see Shapes.js)
+ * - uLiquid, uRoughness, uMetallic (material properties)
+ * - uFlowPhase, uNoiseFreq, uNoiseAmp (flow / noise controls)
+ *
+ * Shaders rely on a fixed DIR_COUNT (12) stellation direction array and expect uDirs to be an array
+ * of vec3s. The vertex shader reads the spectrogram texture horizontally (uSpec at v = 0.5).
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+export class MeshLayer extends Layer {
+  /** @param {Record<string, any>} [options] */
+  constructor(options) {
+    super(options);
+    /** @type {import("Visualizer").Visualizer|null} */
+    this.viz = null;
+    /** @type {THREE.Group|null} */
+    this.group = null;
+
+    // Config.mesh, Config.lights, Config.liquid and Config.morph as last applied; init() reads them
+    /** @type {number} Subdivision the current mesh was built with. */
+    this.subdiv = 0;
+    this.rotationSpeed = 0;
+    this.reactivity = 0;
+    this.distortion = 0;
+    this.lights = Config.get().lights;
+    this.liquid = { ...Config.get().liquid };
+    this.morphThreshold = 0;
+    this.morphKnee = 0;
+    this.morphAttack = 0;
+    this.morphRelease = 0;
+
+    /** Flow speed, eased toward the modulated target. */
+    this.flowSpeed = 0;
+    this.flowPhase = 0;
+    this.spike = { strength: 1.1, sharp: 1.0 };
+    /** Bass-gated morph envelope, 0..1. */
+    this.morphEnv = 0;
+    /** Which morph targets the morph heads for (Config.shapes). */
+    this.shapeMixer = new ShapeMixer();
+
+    // Palette HSL cache
+    this.baseHSL = { h: 0, s: 1, l: 0.5 };
+    this.glowHSL = { h: 0, s: 1, l: 0.5 };
+  }
+
+  /** @param {import("Visualizer").Visualizer} viz */
+  init(viz) {
+    this.viz = viz;
+
+    const mx = Config.get().mesh;
+    this.subdiv = mx.subdiv;
+    this.rotationSpeed = mx.rotationSpeed;
+    this.reactivity = mx.reactivity;
+    this.distortion = mx.distortion;
+
+    this.lights = Config.get().lights;
+    this.liquid = { ...Config.get().liquid };
+
+    // Flow smoothing
+    this.flowSpeed = this.liquid.flow;
+    this.flowPhase = 0;
+
+    // Morph gate
+    const mp = Config.get().morph;
+    this.morphThreshold = mp.threshold;
+    this.morphKnee = mp.knee;
+    this.morphAttack = mp.attack;
+    this.morphRelease = mp.release;
+    this.morphEnv = mp.envInit;
+    this.shapeMixer.reset();
+
+    this.group = this.makeMesh(this.subdiv);
+    viz.scene.add(this.group);
+  }
+
+  /**
+   * @param {Array<keyof Config>} sections
+   * @description
+   *   A new mesh.subdiv rebuilds the mesh (keeping its orientation); the morph targets have to be
+   *   re-applied by the caller.
+   */
+  applyConfig(sections) {
+    if (!this.group) return;
+    const cfg = Config.get();
+    for (const key of new Set(sections)) {
+      switch (key) {
+        case "mesh": {
+          const mx = cfg.mesh;
+          this.rotationSpeed = mx.rotationSpeed;
+          this.reactivity = mx.reactivity;
+          this.distortion = mx.distortion;
+          if (mx.subdiv !== this.subdiv) {
+            this.subdiv = mx.subdiv;
+            const q = this.group.quaternion.clone();
+            this.group = this.makeMesh(this.subdiv);
+            this.group.quaternion.copy(q);
+            this.viz?.scene.add(this.group);
+          }
+          break;
+        }
+        case "liquid":
+          this.liquid = { ...cfg.liquid };
+          break;
+        case "lights": {
+          this.lights = cfg.lights;
+          const u = this.uniforms();
+          u.uKeyDir.value.copy(this.lights.keyDir).normalize();
+          u.uFillDir.value.copy(this.lights.fillDir).normalize();
+          u.uRimDir.value.copy(this.lights.rimDir).normalize();
+          break;
+        }
+        case "morph":
+          this.morphThreshold = cfg.morph.threshold;
+          this.morphKnee = cfg.morph.knee;
+          this.morphAttack = cfg.morph.attack;
+          this.morphRelease = cfg.morph.release;
+          break;
+        case "theme": {
+          const pal = /** @type {import("Visualizer").Visualizer} */ (this.viz).pal;
+          const u = this.uniforms();
+          u.uBaseColor.value.copy(pal.base);
+          u.uGlowColor.value.copy(pal.glow);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {import("Layers").LayerFrame} frame
+   * @description
+   *   Spin, uniforms (time, reactivity, distortion, morph, bass-driven stellation, shape weights),
+   *   palette hue drift, flow integration, light intensities, and finally the "uniform.*" routes.
+   */
+  update({ viz, t, dt, pulse, ahead, mod: m, routes, spin }) {
+    const group = /** @type {THREE.Group} */ (this.group);
+    group.rotateY(this.rotationSpeed * 0.01);
+    group.rotateX(spin.x);
+    group.rotateY(spin.y);
+
+    const u = this.uniforms();
+    u.uTime.value = t;
+    // Every numeric uniform is rewritten each frame so routes can add to it below
+    u.uReactivity.value = 0;
+    u.uDistortion.value = this.distortion;
+    u.uSpikeStrength.value = this.spike.strength;
+    u.uSpikeSharp.value = this.spike.sharp;
+
+    // Morph gate
+    const x = viz.band("bass", "fast");
+    const start = this.morphThreshold - this.morphKnee;
+    const end = this.morphThreshold + this.morphKnee;
+    const gate = smoothstepEdge(start, end, x);
+    const lifted = clamp((x - start) / (1 - start), 0, 1);
+    const desired = clamp(gate * lifted * 1.35, 0.0, 1.0);
+    const rate = desired > this.morphEnv ? this.morphAttack : this.morphRelease;
+    this.morphEnv += (desired - this.morphEnv) * rate;
+    u.uMorph.value = clamp(
+      this.morphEnv + viz.beatMorph * pulse + viz.lookahead.morph * ahead,
+      0,
+      1
+    );
+    u.uBassFast.value = gate * x;
+
+    // Shape blend (which morph target the morph heads for)
+    const sh = Config.get().shapes;
+    const section = viz.currentSection();
+    const w = this.shapeMixer.update(sh, sh.list.length, dt, {
+      beats: viz.beat.count,
+      section: section && viz.analysis ? viz.analysis.sections.indexOf(section) : -1,
+      drop: section?.kind === "drop",
+      position: sh.position + m("shapes.position"),
+    });
+    u.uShapeW.value.set(w[0], w[1], w[2], w[3]);
+
+    // Palette hue drift
+    const shift = m("hue");
+    viz.pal.base.getHSL(this.baseHSL);
+    viz.pal.glow.getHSL(this.glowHSL);
+    const baseH = (this.baseHSL.h + shift) % 1;
+    const glowH = (this.glowHSL.h + shift * 1.2) % 1;
+    u.uBaseColor.value.setHSL(baseH, this.baseHSL.s, this.baseHSL.l);
+    u.uGlowColor.value.setHSL(glowH, this.glowHSL.s, this.glowHSL.l);
+
+    // Flow smoothing & integration
+    const targetFlow = 0.6 + m("flow");
+    const maxAccel = 3.0;
+    const dv = clamp(
+      targetFlow - this.flowSpeed,
+      -maxAccel * dt,
+      maxAccel * dt
+    );
+    this.flowSpeed += dv;
+    this.flowPhase += dt * this.flowSpeed;
+    u.uFlowPhase.value = this.flowPhase;
+
+    const lightScale = 0.95 + m("lights");
+    u.uKeyI.value = this.lights.keyIntensity * lightScale;
+    u.uFillI.value = this.lights.fillIntensity * lightScale;
+    u.uRimI.value = this.lights.rimIntensity * lightScale;
+
+    // Noise & liquid
+    u.uNoiseFreq.value = this.liquid.freq;
+    u.uNoiseAmp.value = this.liquid.amp;
+    u.uLiquid.value = this.liquid.amount;
+    u.uRoughness.value = this.liquid.roughness;
+    u.uMetallic.value = this.liquid.metallic;
+
+    for (const [id, v] of routes) {
+      if (!id.startsWith("uniform.")) continue;
+      const un = u[id.slice(8)];
+      if (un && typeof un.value === "number") un.value += v;
+    }
+  }
+
+  reset() {
+    this.morphEnv = Config.get().morph.envInit;
+    this.shapeMixer.reset();
+    this.flowSpeed = this.liquid.flow;
+    this.flowPhase = 0;
+    this.group?.rotation.set(0, 0, 0);
+  }
+
+  dispose() {
+    if (!this.group) return;
+    this.group.removeFromParent();
+    disposeObject(this.group);
+    this.group = null;
+  }
+
+  /** @returns {string[]} The motion targets plus "uniform.<name>" for every numeric uniform. */
+  modTargets() {
+    const u = this.uniforms();
+    const numeric = Object.keys(u).filter((k) => k !== "uTime" && typeof u[k].value === "number");
+    return ["hue", "flow", "lights", "shapes.position", ...numeric.map((k) => `uniform.${k}`)];
+  }
+
+  /**
+   * @returns {Record<string, THREE.IUniform>} Uniforms shared by the solid and wireframe materials.
+   */
+  uniforms() {
+    const solid = /** @type {THREE.Mesh} */ (/** @type {THREE.Group} */ (this.group).children[0]);
+    return /** @type {THREE.ShaderMaterial} */ (solid.material).uniforms;
+  }
+
+  /**
+   * @returns {THREE.BufferGeometry} The solid mesh geometry a morph target is baked against.
+   */
+  geometry() {
+    const solid = /** @type {THREE.Mesh} */ (/** @type {THREE.Group} */ (this.group).children[0]);
+    return /** @type {THREE.BufferGeometry} */ (solid.geometry);
+  }
+
+  /**
+   * @method setShape
+   * @param {number} slot - Shape slot, 0..MAX_SHAPES-1 (the index into Config.shapes.list).
+   * @param {Float32Array | Array<number>} targetArray - Flat float array (XYZ triplets) matching the
+   *   geometry position attribute length.
+   * @description
+   *  Copies the array into the slot's morph attribute on both the solid and wireframe geometries and
+   *  marks them needsUpdate. Arrays of the wrong length (e.g. baked for another subdivision) are
+   *  ignored.
+   */
+  setShape(slot, targetArray) {
+    if (!(slot >= 0 && slot < MAX_SHAPES)) throw new RangeError(`Shape slot ${slot} out of range`);
+    for (const child of this.group?.children ?? []) {
+      const geo = /** @type {THREE.BufferGeometry} */ (
+        /** @type {THREE.Mesh} */ (child).geometry
+      );
+      const attr = geo.getAttribute(shapeAttribute(slot));
+      if (!attr || attr.array.length !== targetArray.length) continue;
+      /** @type {Float32Array} */ (attr.array).set(targetArray);
+      attr.needsUpdate = true;
+    }
+  }
+
+  /**
+   * @method makeMesh
+   * @param {number} subdiv - Icosahedron subdivision level used to create the base geometry.
+   * @returns {THREE.Group} group - Group containing the solid and wireframe mesh instances. Internally
+   *   sets up the morph target attributes ("target", "target1".."target3", one per shape slot, all
+   *   starting as the base sphere) and creates ShaderMaterials that reference the visualizer's
+   *   spectrogram texture and other uniforms.
+   */
+  makeMesh(subdiv) {
+    if (this.group) {
+      this.group.removeFromParent();
+      disposeObject(this.group);
+    }
+
+    const geo = new THREE.IcosahedronGeometry(1, subdiv);
+    for (let slot = 0; slot < MAX_SHAPES; slot++) {
+      geo.setAttribute(
+        shapeAttribute(slot),
+        new THREE.Float32BufferAttribute(
+          Float32Array.from(geo.attributes.position.array),
+          3
+        )
+      );
+    }
+
+    const pal = this.viz?.pal || palette("synth");
+
+    const PHI = (1 + Math.sqrt(5)) / 2;
+    const dirs = [
+      [0, 1, PHI],
+      [0, -1, PHI],
+      [0, 1, -PHI],
+      [0, -1, -PHI],
+      [1, PHI, 0],
+      [-1, PHI, 0],
+      [1, -PHI, 0],
+      [-1, -PHI, 0],
+      [PHI, 0, 1],
+      [-PHI, 0, 1],
+      [PHI, 0, -1],
+      [-PHI, 0, -1],
+    ].map((v) => new THREE.Vector3(v[0], v[1], v[2]).normalize());
+    this._stellationDirs = dirs;
+
+    const L = this.lights || Config.get().lights;
+    const liquid = this.liquid || Config.get().liquid;
+
+    /**
+     * Uniforms for the Visualizer shader material.
+     *
+     * Each property follows the Three.js uniform convention: { value: ... } and can be passed
+     * directly to THREE.ShaderMaterial.uniforms.
+     * @type {{
+     *   uTime: { value: number };
+     *   uSpec: { value: import("three").Texture | null };
+     *   uReactivity: { value: number };
+     *   uDistortion: { value: number };
+     *   uBaseColor: { value: import("three").Color };
+     *   uGlowColor: { value: import("three").Color };
+     *   uKeyDir: { value: import("three").Vector3 };
+     *   uFillDir: { value: import("three").Vector3 };
+     *   uRimDir: { value: import("three").Vector3 };
+     *   uKeyCol: { value: import("three").Color };
+     *   uFillCol: { value: import("three").Color };
+     *   uRimCol: { value: import("three").Color };
+     *   uKeyI: { value: number };
+     *   uFillI: { value: number };
+     *   uRimI: { value: number };
+     *   uBassFast: { value: number };
+     *   uSpikeStrength: { value: number };
+     *   uSpikeSharp: { value: number };
+     *   uDirs: { value: any };
+     *   uMorph: { value: number };
+     *   uShapeW: { value: import("three").Vector4 };
+     *   uLiquid: { value: number };
+     *   uRoughness: { value: number };
+     *   uMetallic: { value: number };
+     *   uFlowPhase: { value: number };
+     *   uNoiseFreq: { value: number };
+     *   uNoiseAmp: { value: number };
+     * }}
+     */
+
+    const uniforms = {
+      uTime: { value: 1 },
+      uSpec: { value: this.viz?.specTex ?? null },
+      uReactivity: { value: this.reactivity },
+      uDistortion: { value: this.distortion },
+      uBaseColor: { value: pal.base.clone() },
+      uGlowColor: { value: pal.glow.clone() },
+
+      // Lighting
+      uKeyDir: { value: L.keyDir.clone().normalize() },
+      uFillDir: { value: L.fillDir.clone().normalize() },
+      uRimDir: { value: L.rimDir.clone().normalize() },
+      uKeyCol: { value: new THREE.Color(1, 1, 1) },
+      uFillCol: { value: new THREE.Color(1, 1, 1) },
+      uRimCol: { value: new THREE.Color(1, 1, 1) },
+      uKeyI: { value: L.keyIntensity },
+      uFillI: { value: L.fillIntensity },
+      uRimI: { value: L.rimIntensity },
+
+      // FFT / stellation
+      uBassFast: { value: 0.1 },
+      uSpikeStrength: { value: 1.1 },
+      uSpikeSharp: { value: 1.0 },
+      uDirs: { value: dirs },
+      uMorph: { value: 0.05 },
+      uShapeW: { value: new THREE.Vector4(1, 0, 0, 0) },
+
+      // Fluid material properties
+      uLiquid: { value: liquid.amount },
+      uRoughness: { value: liquid.roughness },
+      uMetallic: { value: liquid.metallic },
+
+      // Phase-driven flow
+      uFlowPhase: { value: 0.0 },
+      uNoiseFreq: { value: liquid.freq },
+      uNoiseAmp: { value: liquid.amp },
+    };
+
+    const vert = `
+      precision highp float;
+      const int DIR_COUNT = 12;
+      uniform vec3 uDirs[DIR_COUNT];
+      uniform sampler2D uSpec;
+      uniform float uReactivity;
+      uniform float uDistortion;
+      uniform float uBassFast;
+      uniform float uSpikeStrength;
+      uniform float uSpikeSharp;
+      uniform float uMorph;
+      uniform vec4 uShapeW;
+
+      attribute vec3 target;
+      attribute vec3 target1;
+      attribute vec3 target2;
+      attribute vec3 target3;
+      varying float vAmp;
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+      varying float vCorner;
+
+      float sampleSpec(float t){ float x = clamp(t, 0.0, 1.0); return texture2D(uSpec, vec2(x, 0.5)).r; }
+
+      void main() {
+        vec3 p0 = position;
+        vec3 p1 = target * uShapeW.x + target1 * uShapeW.y + target2 * uShapeW.z + target3 * uShapeW.w;
+        vec3 p = mix(p0, p1, clamp(uMorph, 0.0, 1.0));
+        vec3 n = normalize(p);
+
+        float ang = atan(p.z, p.x);
+        float band = fract(0.5 + ang / 6.28318530718);
+        float amp = sampleSpec(band) * uReactivity;
+        vAmp = amp;
+
+        float bias = 0.6 + 0.4 * pow(band, 0.5);
+        p += n * amp * bias * uDistortion * 0.5;
+
+        vec3 nn = normalize(p);
+        vCorner = (abs(nn.x) + abs(nn.y) + abs(nn.z)) / 1.73205080757;
+
+        float m = 0.0;
+        for (int i = 0; i < DIR_COUNT; i++) {
+          float d = max(0.0, dot(nn, uDirs[i]));
+          m = max(m, pow(d, uSpikeSharp));
+        }
+        float stell = m * uSpikeStrength * uBassFast;
+        p += nn * stell;
+
+        vec4 wp4 = modelMatrix * vec4(p, 1.0);
+        vWorldPos = wp4.xyz;
+        vWorldNormal = normalize((modelMatrix * vec4(nn, 0.0)).xyz);
+        gl_Position = projectionMatrix * viewMatrix * wp4;
+      }
+    `;
+
+    const frag = `
+      precision highp float;
+
+      uniform float uTime;
+      uniform vec3 uBaseColor;
+      uniform vec3 uGlowColor;
+
+      // Lights
+      uniform vec3 uKeyDir; uniform vec3 uFillDir; uniform vec3 uRimDir;
+      uniform vec3 uKeyCol; uniform vec3 uFillCol; uniform vec3 uRimCol;
+      uniform float uKeyI; uniform float uFillI; uniform float uRimI;
+
+      // Liquid
+      uniform float uLiquid; // 0..1
+      uniform float uRoughness;
+      uniform float uMetallic;
+      uniform float uFlowPhase;
+      uniform float uNoiseFreq;
+      uniform float uNoiseAmp;
+
+      varying float vAmp;
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+      varying float vCorner;
+
+      vec3 mod289(vec3 x){return x - floor(x * (1.0 / 289.0)) * 289.0;}
+      vec4 mod289(vec4 x){return x - floor(x * (1.0 / 289.0)) * 289.0;}
+      vec4 permute(vec4 x){return mod289(((x*34.0)+1.0)*x);}
+      vec4 taylorInvSqrt(vec4 r){return 1.79284291400159 - 0.85373472095314 * r;}
+      float snoise(vec3 v){
+        const vec2  C = vec2(1.0/6.0, 1.0/3.0);
+        const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
+        vec3 i  = floor(v + dot(v, C.yyy));
+        vec3 x0 = v - i + dot(i, C.xxx);
+        vec3 g = step(x0.yzx, x0.xyz);
+        vec3 l = 1.0 - g;
+        vec3 i1 = min( g.xyz, l.zxy );
+        vec3 i2 = max( g.xyz, l.zxy );
+        vec3 x1 = x0 - i1 + C.xxx;
+        vec3 x2 = x0 - i2 + C.yyy;
+        vec3 x3 = x0 - D.yyy;
+        i = mod289(i);
+        vec4 p = permute( permute( permute(
+                  i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
+                + i.y + vec4(0.0, i1.y, i2.y, 1.0 ))
+                + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
+        float n_ = 0.142857142857;
+        vec3  ns = n_ * D.wyz - D.xzx;
+        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+        vec4 x_ = floor(j * ns.z);
+        vec4 y_ = floor(j - 7.0 * x_ );
+        vec4 x = x_ *ns.x + ns.yyyy;
+        vec4 y = y_ *ns.x + ns.yyyy;
+        vec4 h = 1.0 - abs(x) - abs(y);
+        vec4 b0 = vec4( x.xy, y.xy );
+        vec4 b1 = vec4( x.zw, y.zw );
+        vec4 s0 = floor(b0)*2.0 + 1.0;
+        vec4 s1 = floor(b1)*2.0 + 1.0;
+        vec4 sh = -step(h, vec4(0.0));
+        vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
+        vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
+        vec3 p0 = vec3(a0.xy,h.x);
+        vec3 p1 = vec3(a0.zw,h.y);
+        vec3 p2 = vec3(a1.xy,h.z);
+        vec3 p3 = vec3(a1.zw,h.w);
+        vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
+        p0 *= norm.x; p1 *= norm.y; p2 *= norm.z; p3 *= norm.w;
+        vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
+        m = m * m;
+        return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
+      }
+
+      vec3 noiseNormal(vec3 p, float freq, float amp) {
+        vec3 q = p * freq + vec3(0.0, uFlowPhase, 0.0);
+        float e = 0.001;
+        float n  = snoise(q);
+        float nx = snoise(q + vec3(e,0.0,0.0)) - n;
+        float ny = snoise(q + vec3(0.0,e,0.0)) - n;
+        float nz = snoise(q + vec3(0.0,0.0,e)) - n;
+        return normalize(vec3(nx, ny, nz)) * amp;
+      }
+
+      vec3 blinnPhong(vec3 N, vec3 V, vec3 L, vec3 lightCol, float lightI, float shininess) {
+        float NoL = max(dot(N, L), 0.0);
+        vec3 H = normalize(L + V);
+        float NoH = max(dot(N, H), 0.0);
+        float spec = pow(NoH, shininess);
+        vec3 diffuse = lightCol * NoL;
+        vec3 specular = lightCol * spec;
+        return lightI * (diffuse + specular);
+      }
+
+      void main() {
+        float a = clamp(vAmp, 0.0, 1.0);
+        vec3 baseCol = mix(uBaseColor, uGlowColor, pow(a, 0.8));
+
+        vec3 N = normalize(vWorldNormal);
+        vec3 dN = noiseNormal(vWorldPos, uNoiseFreq, uNoiseAmp) * uRoughness;
+        N = normalize(N + dN);
+
+        vec3 V = normalize(cameraPosition - vWorldPos);
+
+        float shininess = mix(16.0, 96.0, clamp(uMetallic, 0.0, 1.0)) * (1.0 - 0.6 * clamp(uRoughness, 0.0, 1.0));
+
+        // Lighting
+        vec3 colLit = vec3(0.0);
+        colLit += blinnPhong(N, V, normalize(uKeyDir),  uKeyCol,  uKeyI,  shininess);
+        colLit += blinnPhong(N, V, normalize(uFillDir), uFillCol, uFillI, shininess);
+        colLit += blinnPhong(N, V, normalize(uRimDir),  uRimCol,  uRimI,  shininess);
+
+        vec3 litTinted = colLit * baseCol;
+        vec3 col = mix(baseCol, litTinted, uLiquid);
+        // Reinhard tone mapping
+        col = col / (1.0 + col);
+
+        float alpha = 0.55 + 0.40 * pow(clamp(vCorner, 0.0, 1.0), 0.75);
+        gl_FragColor = vec4(col, alpha);
+      }
+    `;
+
+    const matSolid = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: vert,
+      fragmentShader: frag,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.NormalBlending,
+    });
+    const matWire = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: vert,
+      fragmentShader: frag,
+      transparent: true,
+      depthWrite: true,
+      blending: THREE.NormalBlending,
+      wireframe: true,
+    });
+    matWire.opacity = 0.28;
+    matWire.polygonOffset = true;
+    matWire.polygonOffsetFactor = -1;
+    matWire.polygonOffsetUnits = -1;
+
+    const group = new THREE.Group();
+    const solid = new THREE.Mesh(geo, matSolid);
+    const wire = new THREE.Mesh(geo.clone(), matWire);
+    group.add(solid);
+    group.add(wire);
+    group.renderOrder = 0;
+    return group;
+  }
+}
+
+/**
+ * @param {number} slot - Shape slot, 0..MAX_SHAPES-1.
+ * @returns {string} Name of the slot's morph attribute ("target", "target1", ...).
+ */
+function shapeAttribute(slot) {
+  return slot ? `target${slot}` : "target";
+}
+
+registerLayer("mesh", MeshLayer);
@@ -0,0 +1,125 @@
+// @ts-check
+import { clamp, lerp } from "Utility";
+
+/* ============================== Modulation Matrix ============================== */
+/**
+ * Declarative audio -> visual routing. Each route reads a source in 0..1, shapes it
+ * with a curve, maps it onto [min, max] (min > max inverts), optionally smooths it,
+ * and adds the result to a target. Several routes on one target sum, on top of the
+ * target's base value, which the consumer (Visualizer) owns.
+ *
+ * Sources are resolved by the consumer through a callback, except "lfo", which is a
+ * sine at the route's own `rate` (Hz) computed here.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/**
+ * @typedef {Object} ModRoute
+ * @property {string} source - "band.<name>", "fast.<name>", "chroma.<0..11>", "beat", "onset", "phase",
+ *   "rms", "centroid", "rolloff", "flatness", "pitch", "ahead", "section" or "lfo".
+ * @property {string} target - Target id, see Visualizer.modTargets().
+ * @property {string} [curve="linear"] - Key of CURVES.
+ * @property {number} min - Output at source 0.
+ * @property {number} max - Output at source 1.
+ * @property {number} [smooth=1] - Per-frame lerp factor toward the new value; 1 follows instantly.
+ * @property {number} [rate] - LFO frequency in Hz (source "lfo" only).
+ */
+
+/** Shaping curves on 0..1. */
+export const CURVES = Object.freeze({
+  linear: (/** @type {number} */ x) => x,
+  in: (/** @type {number} */ x) => x * x,
+  out: (/** @type {number} */ x) => Math.sqrt(x),
+  smooth: (/** @type {number} */ x) => x * x * (3 - 2 * x),
+  step: (/** @type {number} */ x) => (x >= 0.5 ? 1 : 0),
+});
+
+/** Source ids that take no band name, with labels for editors. */
+export const SOURCES = Object.freeze({
+  beat: "Beat pulse",
+  onset: "Onset pulse",
+  phase: "Beat phase",
+  rms: "RMS",
+  centroid: "Spectral centroid",
+  rolloff: "Spectral rolloff",
+  flatness: "Spectral flatness",
+  pitch: "Pitch class",
+  ahead: "Drop ahead",
+  section: "Section energy",
+  lfo: "LFO",
+});
+
+/** LFO rate used when a route does not set one. */
+const DEFAULT_LFO_RATE = 0.25;
+
+export class ModMatrix {
+  /** @param {ModRoute[]} [routes] */
+  constructor(routes = []) {
+    /** @type {Array<Required<ModRoute> & {value: number}>} */
+    this.routes = [];
+    this.setRoutes(routes);
+  }
+
+  /**
+   * Replace the routing table. Bad routes warn and are skipped; routes identical to a
+   * current one keep their smoothing state.
+   * @param {ModRoute[]} list
+   * @returns {void}
+   */
+  setRoutes(list) {
+    const prev = this.routes;
+    this.routes = [];
+    for (const r of Array.isArray(list) ? list : [])
+    {
+      const ok =
+        r && typeof r.source === "string" && r.source !== "" &&
+        typeof r.target === "string" && r.target !== "" &&
+        Number.isFinite(r.min) && Number.isFinite(r.max) &&
+        (r.curve === undefined || r.curve in CURVES);
+      if (!ok)
+      {
+        console.warn("Ignoring bad modulation route:", r);
+        continue;
+      }
+      const route = {
+        source: r.source,
+        target: r.target,
+        curve: r.curve ?? "linear",
+        min: r.min,
+        max: r.max,
+        smooth: clamp(Number.isFinite(r.smooth) ? /** @type {number} */ (r.smooth) : 1, 0.001, 1),
+        rate: Number.isFinite(r.rate) ? /** @type {number} */ (r.rate) : DEFAULT_LFO_RATE,
+        value: r.min,
+      };
+      const same = prev.find((p) => p.source === route.source && p.target === route.target && p.min === route.min && p.max === route.max);
+      if (same) route.value = same.value;
+      this.routes.push(route);
+    }
+  }
+
+  /** Put every route back to its min output. */
+  reset() {
+    for (const r of this.routes) r.value = r.min;
+  }
+
+  /**
+   * Run every route for one frame.
+   * @param {(source: string) => number} read - Source value in 0..1 (unknown sources should return 0).
+   * @param {number} t - Time in seconds (drives the LFOs).
+   * @returns {Map<string, number>} summed output per target
+   */
+  evaluate(read, t) {
+    /** @type {Map<string, number>} */
+    const out = new Map();
+    for (const r of this.routes)
+    {
+      const x = r.source === "lfo" ? 0.5 + 0.5 * Math.sin(2 * Math.PI * r.rate * t) : read(r.source);
+      const shaped = CURVES[/** @type {keyof typeof CURVES} */ (r.curve)](clamp(x || 0, 0, 1));
+      r.value = lerp(r.value, lerp(r.min, r.max, shaped), r.smooth);
+      out.set(r.target, (out.get(r.target) ?? 0) + r.value);
+    }
+    return out;
+  }
+}
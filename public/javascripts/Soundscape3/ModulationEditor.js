@@ -0,0 +1,178 @@
+// @ts-check
+import { Config } from "Config";
+import { PITCH_CLASSES } from "AudioFeatures";
+import { CURVES, SOURCES } from "Modulation";
+
+/* ============================== Modulation Editor ============================== */
+/**
+ * Route table for Config.modulation: one row per route (source, target, curve,
+ * min/max, smoothing, LFO rate) with add/remove. Every edit writes the whole list
+ * through Config.update(), so it previews live and ends up in exported presets;
+ * outside changes (preset import, dev panel) re-render the table.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** @typedef {import("Modulation").ModRoute} ModRoute */
+
+/**
+ * @param {string} tag
+ * @param {Record<string, string>} [attrs]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function el(tag, attrs = {}, text) {
+  const e = document.createElement(tag);
+  for (const [k, v] of Object.entries(attrs)) e.setAttribute(k, v);
+  if (text !== undefined) e.textContent = text;
+  return e;
+}
+
+/**
+ * @param {string} field
+ * @param {Array<[string, string]>} options value/label pairs
+ * @param {string} value
+ * @returns {HTMLSelectElement}
+ */
+function select(field, options, value) {
+  const s = /** @type {HTMLSelectElement} */ (el("select", { "data-field": field, "aria-label": field }));
+  for (const [v, label] of options) s.add(new Option(label, v));
+  // Keep values the lists don't know (bands removed since, hand-written presets)
+  if (!options.some(([v]) => v === value)) s.add(new Option(`${value} (?)`, value));
+  s.value = value;
+  return s;
+}
+
+/**
+ * @param {string} field
+ * @param {number|undefined} value
+ * @param {[number, number, number]} range
+ * @returns {HTMLLabelElement}
+ */
+function number(field, value, [min, max, step]) {
+  const wrap = /** @type {HTMLLabelElement} */ (el("label", { class: "mod-field" }, field));
+  const input = /** @type {HTMLInputElement} */ (el("input", { type: "number", "data-field": field, min: String(min), max: String(max), step: String(step) }));
+  if (value !== undefined) input.value = String(value);
+  wrap.appendChild(input);
+  return wrap;
+}
+
+/**
+ * Mount the editor.
+ * @param {HTMLElement} host - Container; its contents are replaced.
+ * @param {import("Visualizer").Visualizer|import("RemoteVisualizer").RemoteVisualizer} viz - Supplies band
+ *   names and modulation targets.
+ * @returns {() => void} unmount
+ */
+export function installModulationEditor(host, viz) {
+  const ranges = Config.SCHEMA.modulation || {};
+  let writing = false;
+
+  const sources = () => {
+    const bands = [...viz.bandDefs.map((b) => b.name), "overall"];
+    return /** @type {Array<[string, string]>} */ ([
+      ...bands.map((n) => [`band.${n}`, n]),
+      ...bands.map((n) => [`fast.${n}`, `${n} (fast)`]),
+      ...Object.entries(SOURCES),
+      ...PITCH_CLASSES.map((n, i) => [`chroma.${i}`, `chroma ${n}`]),
+    ]);
+  };
+
+  /** @returns {ModRoute[]} */
+  const readRows = () =>
+    Array.from(host.querySelectorAll(".mod-route"), (row) => {
+      /** @type {Record<string, any>} */
+      const r = {};
+      for (const input of row.querySelectorAll("[data-field]"))
+      {
+        const f = /** @type {HTMLInputElement} */ (input);
+        const key = /** @type {string} */ (f.dataset.field);
+        if (f.type === "number")
+        {
+          if (f.value !== "" && Number.isFinite(Number(f.value))) r[key] = Number(f.value);
+        } else
+        {
+          r[key] = f.value;
+        }
+      }
+      if (r.curve === "linear") delete r.curve;
+      if (r.smooth === 1) delete r.smooth;
+      if (r.source !== "lfo") delete r.rate;
+      return /** @type {ModRoute} */ (r);
+    });
+
+  /** @param {ModRoute[]} routes */
+  const write = (routes) => {
+    writing = true;
+    try
+    {
+      Config.update({ modulation: { routes } });
+    } finally
+    {
+      writing = false;
+    }
+  };
+
+  /** @param {ModRoute} r */
+  const row = (r) => {
+    const div = el("div", { class: "mod-route" });
+    div.append(
+      select("source", sources(), r.source),
+      select("target", viz.modTargets().map((t) => [t, t]), r.target),
+      select("curve", Object.keys(CURVES).map((c) => [c, c]), r.curve ?? "linear"),
+    );
+    const remove = el("button", { type: "button", class: "btn", title: "Remove route" }, "✕");
+    remove.addEventListener("click", () => {
+      div.remove();
+      write(readRows());
+    });
+    div.append(remove);
+    div.append(
+      number("min", r.min, ranges.min ?? [-5, 5, 0.001]),
+      number("max", r.max, ranges.max ?? [-5, 5, 0.001]),
+      number("smooth", r.smooth ?? 1, ranges.smooth ?? [0.01, 1, 0.01]),
+    );
+    const rate = number("rate", r.rate ?? 0.25, ranges.rate ?? [0.01, 10, 0.01]);
+    rate.hidden = r.source !== "lfo";
+    div.append(rate);
+    return div;
+  };
+
+  const render = () => {
+    host.replaceChildren();
+    for (const r of Config.read("modulation").routes) host.appendChild(row(r));
+    const add = el("button", { type: "button", class: "btn mod-add" }, "+ Route");
+    add.addEventListener("click", () => {
+      const routes = readRows();
+      routes.push({ source: "beat", target: "bloom", min: 0, max: 0.5 });
+      write(routes);
+      render();
+    });
+    host.appendChild(add);
+  };
+
+  const onEdit = (/** @type {Event} */ e) => {
+    const t = /** @type {HTMLElement} */ (e.target);
+    if (!t.closest(".mod-route")) return;
+    if (t.dataset.field === "source")
+    {
+      const rate = t.closest(".mod-route")?.querySelector("[data-field=rate]")?.parentElement;
+      if (rate) rate.hidden = /** @type {HTMLSelectElement} */ (t).value !== "lfo";
+    }
+    write(readRows());
+  };
+  host.addEventListener("change", onEdit);
+
+  const off = Config.onChange(({ sections }) => {
+    if (writing) return;
+    if (sections.includes("modulation") || sections.includes("bands")) render();
+  });
+  render();
+
+  return () => {
+    off();
+    host.removeEventListener("change", onEdit);
+    host.replaceChildren();
+  };
+}
@@ -2,81 +2,269 @@
 import * as THREE from "three";
 import { STLLoader } from "https://unpkg.com/three@0.160.0/examples/jsm/loaders/STLLoader.js";
 import { updateOverlay, hideOverlay, showOverlay } from "DOM";
+import { TriangleBVH, bakeRadial, prebakedName, unpackRadial } from "MorphBVH";
+import { morphCache, morphCacheKey } from "MorphCache";
+import { hashBytes } from "IdbCache";
+import { bakeProcedural, isProceduralShape } from "Shapes";
 
 /* ============================== Shader Calculation ============================== */
 /**
- * Raycast morph bake; incl. progress callback.
+ * Radial morph bake (BVH raycast, see MorphBVH.js); incl. progress callback and cancellation.
+ * Results go through the IndexedDB morph cache.
  * @param {THREE.BufferGeometry} stlGeom
  * @param {THREE.BufferGeometry} sphereGeom
- * @param {string} cacheKey
+ * @param {string} cacheKey - From morphCacheKey().
  * @param {(pct:number)=>void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Float32Array>}
  */
-export async function buildOrLoadRadialMorphTarget(stlGeom, sphereGeom, cacheKey, onProgress) {
-  try
-  {
-    const cached = localStorage.getItem(cacheKey);
-    if (cached)
-    {
-      const arr = new Float32Array(JSON.parse(cached));
-      if (arr.length === sphereGeom.attributes.position.array.length) { onProgress?.(1); return arr; }
-    }
-  } catch { }
+export async function buildOrLoadRadialMorphTarget(stlGeom, sphereGeom, cacheKey, onProgress, signal) {
+  const cached = await morphCache.get(cacheKey, sphereGeom.attributes.position.array.length);
+  if (cached) { onProgress?.(1); return cached; }
   const stl = normalizeGeometry(stlGeom.clone());
-  const stlMesh = new THREE.Mesh(stl, new THREE.MeshBasicMaterial());
-  const ray = new THREE.Raycaster(); ray.firstHitOnly = true;
-  const origin = new THREE.Vector3(0, 0, 0);
+  const tris = /** @type {Float32Array} */ (stl.attributes.position.array);
+  stl.dispose();
+  const base = /** @type {Float32Array} */ (sphereGeom.attributes.position.array);
+  const target = await bakeRadialMorph(tris, base, { onProgress, signal });
+  await morphCache.put(cacheKey, target);
+  return target;
+}
 
-  const pos = sphereGeom.attributes.position;
-  const target = new Float32Array(pos.array.length);
-  const v = new THREE.Vector3();
-  const total = pos.count;
-  const YIELD_EVERY = 600; // Completely arbitrary; based on vibes
+/**
+ * Bake in a MorphWorker; falls back to this thread (in slices between frames) where module
+ * workers are unavailable. The inputs are copied to the worker, so the fallback still has them.
+ * @param {Float32Array} tris - Normalized, non-indexed STL triangles.
+ * @param {Float32Array} base - Base mesh positions.
+ * @param {{onProgress?: (pct:number)=>void, signal?: AbortSignal}} [opts]
+ * @returns {Promise<Float32Array>}
+ */
+export function bakeRadialMorph(tris, base, { onProgress, signal } = {}) {
+  const cancelled = () => new DOMException("Morph bake cancelled", "AbortError");
+  if (signal?.aborted) return Promise.reject(cancelled());
+  /** @type {Worker} */
+  let worker;
+  try
+  {
+    worker = new Worker(new URL("./MorphWorker.js", import.meta.url), { type: "module" });
+  } catch
+  {
+    return bakeOnMainThread(tris, base, onProgress, signal);
+  }
+  return new Promise((resolve, reject) => {
+    let started = false;
+    const finish = () => { worker.terminate(); signal?.removeEventListener("abort", abort); };
+    const abort = () => { finish(); reject(cancelled()); };
+    signal?.addEventListener("abort", abort, { once: true });
+    worker.addEventListener("message", (e) => {
+      const msg = e.data;
+      started = true;
+      if (msg.type === "progress") onProgress?.(msg.pct);
+      else if (msg.type === "done") { finish(); resolve(msg.target); }
+      else { finish(); reject(new Error(msg.message)); }
+    });
+    // A worker that never got going (no module worker support) bakes here instead
+    worker.addEventListener("error", (e) => {
+      finish();
+      if (started) reject(new Error(e.message || "Morph worker failed"));
+      else bakeOnMainThread(tris, base, onProgress, signal).then(resolve, reject);
+    });
+    worker.postMessage({ tris, base });
+  });
+}
 
-  for (let i = 0; i < total; i++)
+/**
+ * @param {Float32Array} tris
+ * @param {Float32Array} base
+ * @param {(pct:number)=>void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Float32Array>}
+ */
+async function bakeOnMainThread(tris, base, onProgress, signal) {
+  const bvh = new TriangleBVH(tris);
+  const SLICE = 4096 * 3; // Vertices per frame, times xyz
+  const target = new Float32Array(base.length);
+  for (let i = 0; i < base.length; i += SLICE)
   {
-    v.fromBufferAttribute(pos, i).normalize();
-    ray.set(origin, v);
-    const hit = ray.intersectObject(stlMesh, false);
-    const d = hit && hit.length ? hit[0].distance : 1.0;
-    const j = i * 3;
-    target[j] = v.x * d; target[j + 1] = v.y * d; target[j + 2] = v.z * d;
-
-
-    // "Hey knock that shit off for a sec"
-    if ((i % YIELD_EVERY) === 0)
-    {
-      onProgress?.(i / total);
-      await new Promise(requestAnimationFrame);
-      // "Carry on"
-    }
+    if (signal?.aborted) throw new DOMException("Morph bake cancelled", "AbortError");
+    target.set(bakeRadial(bvh, base.subarray(i, i + SLICE)), i);
+    onProgress?.(i / base.length);
+    await new Promise(requestAnimationFrame);
   }
   onProgress?.(1);
-  try { localStorage.setItem(cacheKey, JSON.stringify(Array.from(target))); } catch { }
-  stl.dispose(); stlMesh.geometry?.dispose?.(); stlMesh.material?.dispose?.();
   return target;
-}/* ============================== STL + Bake Wiring ============================== */
-export async function loadAndBakeSTLMorph(url, viz) {
-  const loader = new STLLoader();
-  const stlGeom = await new Promise((resolve, reject) => loader.load(url, (g) => resolve(g), undefined, reject));
+}
+
+/**
+ * Target baked at build time by scripts/bake-morphs.js, if the deploy has one for this STL
+ * and subdivision (the dev server does not).
+ * @param {string} stlHash - From hashBytes(); only SHA-256 hashes can match.
+ * @param {number} subdiv
+ * @param {THREE.BufferGeometry} sphereGeom
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Float32Array|null>}
+ */
+export async function fetchPrebakedMorph(stlHash, subdiv, sphereGeom, signal) {
+  try
+  {
+    const res = await fetch(`/morphs/${prebakedName(stlHash, subdiv)}`, { signal });
+    if (!res.ok) return null;
+    return unpackRadial(await res.arrayBuffer(), sphereGeom.attributes.position.array);
+  } catch (e)
+  {
+    if (e instanceof DOMException && e.name === "AbortError") throw e;
+    return null;
+  }
+}
 
-  const solid = /** @type {THREE.Mesh} */ (viz.mesh.children[0]);
-  const baseGeo = /** @type {THREE.BufferGeometry} */ (solid.geometry);
-  const cacheKey = `morph:${url}:verts:${baseGeo.attributes.position.count}`;
+/* ============================== STL + Bake Wiring ============================== */
+/**
+ * Load an STL, bake it against the visualizer's current base mesh and apply the result.
+ * A prebaked asset is used when one matches; otherwise the bake runs here (cached).
+ * @param {string} url
+ * @param {import("Visualizer").Visualizer|import("RemoteVisualizer").RemoteVisualizer} viz
+ * @param {{signal?: AbortSignal, slot?: number}} [opts] - Abort to drop a bake that is no longer wanted
+ *   (e.g. the subdivision changed); `slot` is the shape slot to fill (default 0).
+ */
+export async function loadAndBakeSTLMorph(url, viz, { signal, slot = 0 } = {}) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`STL ${url}: HTTP ${res.status}`);
+  const bytes = await res.arrayBuffer();
+  const stlGeom = new STLLoader().parse(bytes);
 
-  showOverlay("One moment, precomputing shader cache...");
+  const hash = await hashBytes(bytes);
+  const prebaked = await fetchPrebakedMorph(hash, viz.subdiv, viz.morphBase(), signal);
+  if (prebaked)
+  {
+    viz.setShape(slot, prebaked);
+    stlGeom.dispose?.();
+    return;
+  }
   try
   {
-    const targetArray = await buildOrLoadRadialMorphTarget(stlGeom, baseGeo, cacheKey, (pct) => updateOverlay(pct));
-    viz.applyMorphTargetArray(targetArray);
+    await bakeAndApply(stlGeom, hash, viz, { signal, slot });
   } catch (e)
   {
-    console.error("STL morph failed:", e);
+    if (!(e instanceof DOMException && e.name === "AbortError")) console.error("STL morph failed:", e);
+  }
+}
+
+/**
+ * Bake a loaded model (cached by content hash) behind the progress overlay and put it in a slot.
+ * Disposes the geometry.
+ * @param {THREE.BufferGeometry} geom
+ * @param {string} hash - hashBytes() of the file it came from.
+ * @param {import("Visualizer").Visualizer|import("RemoteVisualizer").RemoteVisualizer} viz
+ * @param {{signal?: AbortSignal, slot: number}} opts
+ */
+async function bakeAndApply(geom, hash, viz, { signal, slot }) {
+  showOverlay("One moment, precomputing shader cache...");
+  try
+  {
+    const cacheKey = morphCacheKey(hash, viz.subdiv);
+    const targetArray = await buildOrLoadRadialMorphTarget(geom, viz.morphBase(), cacheKey, (pct) => updateOverlay(pct), signal);
+    viz.setShape(slot, targetArray);
   } finally
   {
     hideOverlay();
+    geom.dispose?.();
   }
-  stlGeom.dispose?.();
 }
+
+/* ============================== User Model Files ============================== */
+/** Model file extensions loadShapeFile() accepts (track.pug's picker lists the same). */
+export const SHAPE_FILE_TYPES = Object.freeze([".stl", ".obj", ".glb"]);
+
+/**
+ * @param {string} name - File name.
+ * @returns {boolean} Whether loadShapeFile() takes it.
+ */
+export function isShapeFile(name) {
+  return SHAPE_FILE_TYPES.some((ext) => name.toLowerCase().endsWith(ext));
+}
+
+/**
+ * Bake a user's STL, OBJ or GLB file into a shape slot, the same way as a catalog STL
+ * (normalized, baked with progress, cached by content hash). OBJ and GLB scenes are
+ * flattened into one triangle soup with their node transforms applied. Radial baking
+ * suits models that surround their centre; rays that miss keep the sphere.
+ * @param {File} file
+ * @param {import("Visualizer").Visualizer|import("RemoteVisualizer").RemoteVisualizer} viz
+ * @param {{signal?: AbortSignal, slot?: number}} [opts]
+ * @returns {Promise<void>} Rejects on unreadable files and failed bakes, so the page can say so.
+ */
+export async function loadShapeFile(file, viz, { signal, slot = 0 } = {}) {
+  if (!isShapeFile(file.name)) throw new Error(`${file.name}: expected ${SHAPE_FILE_TYPES.join(", ")}`);
+  const bytes = await file.arrayBuffer();
+  const geom = await parseModel(bytes, file.name);
+  if (!geom.attributes.position?.count)
+  {
+    geom.dispose();
+    throw new Error(`${file.name}: no triangles found`);
+  }
+  await bakeAndApply(geom, await hashBytes(bytes), viz, { signal, slot });
+}
+
+/**
+ * @param {ArrayBuffer} bytes
+ * @param {string} name - Picks the loader by extension.
+ * @returns {Promise<THREE.BufferGeometry>} Non-indexed positions only.
+ */
+async function parseModel(bytes, name) {
+  const ext = name.toLowerCase().slice(name.lastIndexOf("."));
+  if (ext === ".stl") return new STLLoader().parse(bytes);
+  // Only fetched when someone actually loads one
+  if (ext === ".obj")
+  {
+    const { OBJLoader } = await import("https://unpkg.com/three@0.160.0/examples/jsm/loaders/OBJLoader.js");
+    return mergeMeshes(new OBJLoader().parse(new TextDecoder().decode(bytes)));
+  }
+  const { GLTFLoader } = await import("https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js");
+  const gltf = await new GLTFLoader().parseAsync(bytes, "");
+  return mergeMeshes(gltf.scene);
+}
+
+/**
+ * Every mesh under `root` in world space, as one non-indexed position-only geometry.
+ * @param {THREE.Object3D} root
+ * @returns {THREE.BufferGeometry}
+ */
+function mergeMeshes(root) {
+  root.updateMatrixWorld(true);
+  /** @type {Float32Array[]} */
+  const parts = [];
+  root.traverse((o) => {
+    const mesh = /** @type {THREE.Mesh} */ (o);
+    if (!mesh.isMesh || !mesh.geometry.attributes.position) return;
+    const g = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+    g.applyMatrix4(mesh.matrixWorld);
+    parts.push(Float32Array.from(g.attributes.position.array));
+    g.dispose();
+  });
+  const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts)
+  {
+    out.set(p, at);
+    at += p.length;
+  }
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute("position", new THREE.BufferAttribute(out, 3));
+  return geom;
+}
+
+/**
+ * Fill one shape slot from a Config.shapes.list entry: procedural shapes are built on the
+ * spot, anything else is an STL URL for loadAndBakeSTLMorph().
+ * @param {string} entry
+ * @param {import("Visualizer").Visualizer|import("RemoteVisualizer").RemoteVisualizer} viz
+ * @param {{signal?: AbortSignal, slot?: number}} [opts]
+ */
+export async function loadShape(entry, viz, { signal, slot = 0 } = {}) {
+  if (!isProceduralShape(entry)) return loadAndBakeSTLMorph(entry, viz, { signal, slot });
+  if (signal?.aborted) throw new DOMException("Morph bake cancelled", "AbortError");
+  viz.setShape(slot, bakeProcedural(entry, viz.morphBase().attributes.position.array));
+}
+
 export function normalizeGeometry(g) {
   let geom = g.index ? g.toNonIndexed() : g;
   geom.computeBoundingBox();
@@ -0,0 +1,391 @@
+// @ts-check
+
+/* ============================== Morph BVH ============================== */
+/**
+ * Bounding-volume hierarchy over a triangle soup, and the radial morph bake built on
+ * it: for every base vertex, cast a ray from the origin along its direction and keep
+ * the distance to the nearest STL surface.
+ *
+ * A brute-force raycast tests every triangle for every vertex; the BVH (binned SAH
+ * split, flattened into typed arrays) brings that down to a few dozen box and
+ * triangle tests per ray.
+ *
+ * Hits follow THREE.Raycaster against a FrontSide material, so bakes match the old
+ * main-thread raycast: triangles whose winding faces away from the ray are skipped,
+ * and a ray that hits nothing keeps unit length.
+ *
+ * No imports on purpose: it runs in MorphWorker.js, on the main thread as a fallback
+ * and under Node.
+ *
+ *   const bvh = new TriangleBVH(positions); // non-indexed xyz triples, 9 floats per triangle
+ *   const target = bakeRadial(bvh, spherePositions);
+ *
+ * packRadial()/unpackRadial() convert a target to and from the compact binary form
+ * that scripts/bake-morphs.js writes into dist/morphs/ at build time.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Bump whenever bakeRadial() output changes, so cached targets (MorphCache.js) are rebuilt. */
+export const BAKE_VERSION = 1;
+
+/** Triangles per leaf before a node stops splitting. */
+const LEAF_SIZE = 4;
+/** Centroid bins tried per axis when choosing a split. */
+const BINS = 12;
+/** Inverted [minX, minY, minZ, maxX, maxY, maxZ] box that anything grows. */
+const EMPTY_BOX = () => [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+/** Möller–Trumbore parallel-ray tolerance. */
+const EPS = 1e-10;
+
+export class TriangleBVH {
+  /**
+   * @param {Float32Array} positions - Non-indexed triangle vertices (x, y, z per vertex, 3 vertices per triangle).
+   */
+  constructor(positions) {
+    this.positions = positions;
+    const triCount = Math.floor(positions.length / 9);
+    /** Triangle ids ordered so every leaf owns a contiguous run. */
+    this.tris = new Uint32Array(triCount);
+    for (let i = 0; i < triCount; i++) this.tris[i] = i;
+
+    // Per-triangle bounds and centroids, read by the builder only
+    const tb = new Float32Array(triCount * 6);
+    const tc = new Float32Array(triCount * 3);
+    for (let i = 0; i < triCount; i++)
+    {
+      const p = i * 9;
+      for (let a = 0; a < 3; a++)
+      {
+        const x = positions[p + a], y = positions[p + 3 + a], z = positions[p + 6 + a];
+        const lo = Math.min(x, y, z), hi = Math.max(x, y, z);
+        tb[i * 6 + a] = lo;
+        tb[i * 6 + 3 + a] = hi;
+        tc[i * 3 + a] = (lo + hi) * 0.5;
+      }
+    }
+
+    // Flattened nodes: bounds (6 floats); for leaves `first`/`count` into tris, else `first` = right child
+    // (the left child always follows its parent)
+    const maxNodes = Math.max(1, 2 * triCount - 1);
+    this.bounds = new Float32Array(maxNodes * 6);
+    this.first = new Uint32Array(maxNodes);
+    this.count = new Uint32Array(maxNodes);
+    this.nodeCount = 0;
+    if (triCount) this.#build(0, triCount, tb, tc);
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @param {Float32Array} tb
+   * @param {Float32Array} tc
+   * @returns {number} node index
+   */
+  #build(start, end, tb, tc) {
+    const node = this.nodeCount++;
+    const tris = this.tris;
+    const box = EMPTY_BOX(), cbox = EMPTY_BOX();
+    for (let i = start; i < end; i++)
+    {
+      const t = tris[i];
+      for (let a = 0; a < 3; a++)
+      {
+        box[a] = Math.min(box[a], tb[t * 6 + a]);
+        box[3 + a] = Math.max(box[3 + a], tb[t * 6 + 3 + a]);
+        cbox[a] = Math.min(cbox[a], tc[t * 3 + a]);
+        cbox[3 + a] = Math.max(cbox[3 + a], tc[t * 3 + a]);
+      }
+    }
+    this.bounds.set(box, node * 6);
+
+    const n = end - start;
+    const split = n > LEAF_SIZE ? this.#chooseSplit(start, end, tb, tc, cbox, box) : null;
+    if (!split)
+    {
+      this.first[node] = start;
+      this.count[node] = n;
+      return node;
+    }
+
+    // Partition around the chosen plane
+    const { axis, pos } = split;
+    let i = start, j = end - 1;
+    while (i <= j)
+    {
+      if (tc[tris[i] * 3 + axis] < pos) i++;
+      else
+      {
+        const tmp = tris[i];
+        tris[i] = tris[j];
+        tris[j--] = tmp;
+      }
+    }
+    const mid = i === start || i === end ? (start + end) >> 1 : i;
+
+    this.count[node] = 0;
+    this.#build(start, mid, tb, tc);
+    this.first[node] = this.#build(mid, end, tb, tc);
+    return node;
+  }
+
+  /**
+   * Binned surface-area heuristic.
+   * @param {number} start
+   * @param {number} end
+   * @param {Float32Array} tb
+   * @param {Float32Array} tc
+   * @param {number[]} cbox - Centroid bounds.
+   * @param {number[]} box - Node bounds.
+   * @returns {{axis:number, pos:number}|null} null when a leaf is cheaper.
+   */
+  #chooseSplit(start, end, tb, tc, cbox, box) {
+    const tris = this.tris;
+    let bestCost = (end - start) * area(box);
+    /** @type {{axis:number, pos:number}|null} */
+    let best = null;
+    for (let axis = 0; axis < 3; axis++)
+    {
+      const lo = cbox[axis], extent = cbox[3 + axis] - lo;
+      if (!(extent > 0)) continue;
+      const counts = new Uint32Array(BINS);
+      const boxes = Array.from({ length: BINS }, EMPTY_BOX);
+      const scale = BINS / extent;
+      for (let i = start; i < end; i++)
+      {
+        const t = tris[i];
+        const b = Math.min(BINS - 1, Math.floor((tc[t * 3 + axis] - lo) * scale));
+        counts[b]++;
+        grow(boxes[b], tb, t * 6);
+      }
+      // Sweep: cost of splitting after bin k
+      const leftArea = new Float64Array(BINS), leftCount = new Uint32Array(BINS);
+      let acc = EMPTY_BOX(), c = 0;
+      for (let k = 0; k < BINS - 1; k++)
+      {
+        c += counts[k];
+        acc = union(acc, boxes[k]);
+        leftCount[k] = c;
+        leftArea[k] = c ? area(acc) : 0;
+      }
+      acc = EMPTY_BOX();
+      c = 0;
+      for (let k = BINS - 1; k > 0; k--)
+      {
+        c += counts[k];
+        acc = union(acc, boxes[k]);
+        const l = leftCount[k - 1];
+        if (!l || !c) continue;
+        const cost = l * leftArea[k - 1] + c * area(acc) + area(box);
+        if (cost < bestCost)
+        {
+          bestCost = cost;
+          best = { axis, pos: lo + (k / BINS) * extent };
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Nearest hit along a ray.
+   * @param {number} ox
+   * @param {number} oy
+   * @param {number} oz
+   * @param {number} dx
+   * @param {number} dy
+   * @param {number} dz
+   * @returns {number} Distance along the (normalized) direction, or Infinity on a miss.
+   */
+  raycast(ox, oy, oz, dx, dy, dz) {
+    if (!this.nodeCount) return Infinity;
+    const { bounds, first, count, tris, positions: p } = this;
+    const ix = 1 / dx, iy = 1 / dy, iz = 1 / dz;
+    const stack = [0];
+    let best = Infinity;
+    while (stack.length)
+    {
+      const node = /** @type {number} */ (stack.pop());
+      const b = node * 6;
+      // Slab test
+      let t0 = (bounds[b] - ox) * ix, t1 = (bounds[b + 3] - ox) * ix;
+      let tmin = Math.min(t0, t1), tmax = Math.max(t0, t1);
+      t0 = (bounds[b + 1] - oy) * iy; t1 = (bounds[b + 4] - oy) * iy;
+      tmin = Math.max(tmin, Math.min(t0, t1)); tmax = Math.min(tmax, Math.max(t0, t1));
+      t0 = (bounds[b + 2] - oz) * iz; t1 = (bounds[b + 5] - oz) * iz;
+      tmin = Math.max(tmin, Math.min(t0, t1)); tmax = Math.min(tmax, Math.max(t0, t1));
+      if (tmax < Math.max(0, tmin) || tmin >= best) continue;
+
+      const n = count[node];
+      if (n)
+      {
+        for (let i = first[node], end = first[node] + n; i < end; i++)
+        {
+          const k = tris[i] * 9;
+          const t = hitTriangle(p, k, ox, oy, oz, dx, dy, dz);
+          if (t < best) best = t;
+        }
+      } else
+      {
+        stack.push(first[node], node + 1);
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Ray/triangle intersection (Möller–Trumbore), culling triangles wound away from the ray.
+ * @param {Float32Array} p
+ * @param {number} k - Offset of the triangle's first vertex.
+ * @param {number} ox
+ * @param {number} oy
+ * @param {number} oz
+ * @param {number} dx
+ * @param {number} dy
+ * @param {number} dz
+ * @returns {number} Distance, or Infinity.
+ */
+function hitTriangle(p, k, ox, oy, oz, dx, dy, dz) {
+  const ax = p[k], ay = p[k + 1], az = p[k + 2];
+  const e1x = p[k + 3] - ax, e1y = p[k + 4] - ay, e1z = p[k + 5] - az;
+  const e2x = p[k + 6] - ax, e2y = p[k + 7] - ay, e2z = p[k + 8] - az;
+  // Facing test against the face normal e1 x e2, as THREE.Ray.intersectTriangle does
+  const nx = e1y * e2z - e1z * e2y, ny = e1z * e2x - e1x * e2z, nz = e1x * e2y - e1y * e2x;
+  if (dx * nx + dy * ny + dz * nz >= 0) return Infinity;
+  const px = dy * e2z - dz * e2y, py = dz * e2x - dx * e2z, pz = dx * e2y - dy * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (det > -EPS && det < EPS) return Infinity;
+  const inv = 1 / det;
+  const sx = ox - ax, sy = oy - ay, sz = oz - az;
+  const u = (sx * px + sy * py + sz * pz) * inv;
+  if (u < 0 || u > 1) return Infinity;
+  const qx = sy * e1z - sz * e1y, qy = sz * e1x - sx * e1z, qz = sx * e1y - sy * e1x;
+  const v = (dx * qx + dy * qy + dz * qz) * inv;
+  if (v < 0 || u + v > 1) return Infinity;
+  const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return t >= 0 ? t : Infinity;
+}
+
+/**
+ * @param {number[]} box
+ * @returns {number} Half the surface area (the constant factor does not matter to SAH).
+ */
+function area(box) {
+  const x = box[3] - box[0], y = box[4] - box[1], z = box[5] - box[2];
+  return x > 0 ? x * y + y * z + z * x : 0;
+}
+
+/**
+ * @param {number[]} box - Grown in place.
+ * @param {Float32Array} src
+ * @param {number} o - Offset of a 6-float box in src.
+ */
+function grow(box, src, o) {
+  for (let a = 0; a < 3; a++)
+  {
+    if (src[o + a] < box[a]) box[a] = src[o + a];
+    if (src[o + 3 + a] > box[3 + a]) box[3 + a] = src[o + 3 + a];
+  }
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function union(a, b) {
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.min(a[2], b[2]), Math.max(a[3], b[3]), Math.max(a[4], b[4]), Math.max(a[5], b[5])];
+}
+
+/**
+ * Radial morph bake: each base vertex direction scaled to the nearest surface hit
+ * (unit length on a miss).
+ * @param {TriangleBVH} bvh - Over the normalized (centered, unit-radius) STL.
+ * @param {ArrayLike<number>} base - Base mesh positions, xyz triples.
+ * @param {(pct:number) => void} [onProgress] - Called every `every` vertices with 0..1.
+ * @param {number} [every=2048]
+ * @returns {Float32Array} Morph target, same length as `base`.
+ */
+export function bakeRadial(bvh, base, onProgress, every = 2048) {
+  const total = Math.floor(base.length / 3);
+  const target = new Float32Array(total * 3);
+  for (let i = 0; i < total; i++)
+  {
+    const j = i * 3;
+    let x = base[j], y = base[j + 1], z = base[j + 2];
+    const len = Math.hypot(x, y, z) || 1;
+    x /= len; y /= len; z /= len;
+    const t = bvh.raycast(0, 0, 0, x, y, z);
+    const d = Number.isFinite(t) ? t : 1;
+    target[j] = x * d; target[j + 1] = y * d; target[j + 2] = z * d;
+    if (onProgress && i % every === 0) onProgress(i / total);
+  }
+  onProgress?.(1);
+  return target;
+}
+
+/* ============================== Packed Targets ============================== */
+// A radial target is fully described by one radius per base vertex (directions come from
+// the base mesh), so prebaked assets store radii quantized to 16 bits:
+//   u32 magic "SSMR" | u16 BAKE_VERSION | u16 0 | u32 vertex count | f32 max radius | u16 radii[count]
+
+const PACK_MAGIC = 0x524d5353; // "SSMR" little-endian
+const PACK_HEADER = 16;
+
+/**
+ * @param {Float32Array} target - From bakeRadial().
+ * @returns {ArrayBuffer}
+ */
+export function packRadial(target) {
+  const count = Math.floor(target.length / 3);
+  const radii = new Float32Array(count);
+  let max = 0;
+  for (let i = 0; i < count; i++)
+  {
+    radii[i] = Math.hypot(target[i * 3], target[i * 3 + 1], target[i * 3 + 2]);
+    max = Math.max(max, radii[i]);
+  }
+  const out = new ArrayBuffer(PACK_HEADER + count * 2);
+  const dv = new DataView(out);
+  dv.setUint32(0, PACK_MAGIC, true);
+  dv.setUint16(4, BAKE_VERSION, true);
+  dv.setUint32(8, count, true);
+  dv.setFloat32(12, max, true);
+  for (let i = 0; i < count; i++) dv.setUint16(PACK_HEADER + i * 2, max > 0 ? Math.round((radii[i] / max) * 65535) : 0, true);
+  return out;
+}
+
+/**
+ * Rebuild a target from packRadial() output.
+ * @param {ArrayBuffer} buf
+ * @param {ArrayLike<number>} base - The base positions it was baked against.
+ * @returns {Float32Array|null} null if the data is not a packed target of this bake version and size.
+ */
+export function unpackRadial(buf, base) {
+  if (buf.byteLength < PACK_HEADER) return null;
+  const dv = new DataView(buf);
+  const count = dv.getUint32(8, true);
+  if (dv.getUint32(0, true) !== PACK_MAGIC || dv.getUint16(4, true) !== BAKE_VERSION) return null;
+  if (count * 3 !== base.length || buf.byteLength < PACK_HEADER + count * 2) return null;
+  const scale = dv.getFloat32(12, true) / 65535;
+  const target = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++)
+  {
+    const j = i * 3, x = base[j], y = base[j + 1], z = base[j + 2];
+    const r = (dv.getUint16(PACK_HEADER + i * 2, true) * scale) / (Math.hypot(x, y, z) || 1);
+    target[j] = x * r; target[j + 1] = y * r; target[j + 2] = z * r;
+  }
+  return target;
+}
+
+/**
+ * File name of a prebaked target, served from /morphs/ (dist/morphs/ in the build).
+ * @param {string} stlHash - SHA-256 hex of the STL file.
+ * @param {number} subdiv - Base icosahedron subdivision.
+ * @returns {string}
+ */
+export function prebakedName(stlHash, subdiv) {
+  return `${stlHash.slice(0, 16)}-s${subdiv}-v${BAKE_VERSION}.bin`;
+}
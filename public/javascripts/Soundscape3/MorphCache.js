@@ -0,0 +1,85 @@
+// @ts-check
+
+/* ============================== Morph Cache ============================== */
+/**
+ * IndexedDB cache for baked morph targets, stored as raw Float32Array bytes: an
+ * IdbCache (same LRU eviction, events and `stats`) that speaks Float32Array.
+ *
+ * Entries are keyed by the STL's content hash, the base mesh subdivision and the bake
+ * algorithm version (MorphBVH.BAKE_VERSION), so an edited STL or a changed bake never
+ * serves a stale target.
+ *
+ *   const key = morphCacheKey(await hashBytes(stlBytes), subdiv);
+ *   const target = await morphCache.get(key) ?? bake();
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+import { BAKE_VERSION } from "MorphBVH";
+import { IdbCache } from "IdbCache";
+
+/**
+ * Cache key for a bake.
+ * @param {string} stlHash - From hashBytes() (IdbCache.js).
+ * @param {number} subdiv - Base icosahedron subdivision.
+ * @returns {string}
+ */
+export function morphCacheKey(stlHash, subdiv) {
+  return `${stlHash}/s${subdiv}/v${BAKE_VERSION}`;
+}
+
+export class MorphCache extends IdbCache {
+  /**
+   * @param {{name?: string, maxBytes?: number}} [opts]
+   */
+  constructor(opts = {}) {
+    super({
+      name: opts.name ?? "soundscape-morph",
+      store: "targets",
+      label: "Morph",
+      // A subdiv-40 target is ~1.2 MB
+      maxBytes: opts.maxBytes ?? 48 * 1024 * 1024,
+      version: BAKE_VERSION,
+      onOpen: dropLegacyEntries,
+    });
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [length] - Expected float count; a mismatch counts as a miss.
+   * @returns {Promise<Float32Array|null>}
+   */
+  async get(key, length) {
+    const data = await super.get(key, length === undefined ? undefined : length * 4);
+    return data ? new Float32Array(data) : null;
+  }
+
+  /**
+   * Store a target (copied), then evict down to the byte budget.
+   * @param {string} key
+   * @param {Float32Array} target
+   * @returns {Promise<void>}
+   */
+  async put(key, target) {
+    const data = target.buffer.slice(target.byteOffset, target.byteOffset + target.byteLength);
+    await super.put(key, data, data.byteLength);
+  }
+}
+
+/**
+ * Targets used to live in localStorage as JSON arrays under "morph:*" keys; free that quota.
+ */
+function dropLegacyEntries() {
+  try
+  {
+    for (let i = localStorage.length - 1; i >= 0; i--)
+    {
+      const k = localStorage.key(i);
+      if (k?.startsWith("morph:")) localStorage.removeItem(k);
+    }
+  } catch { }
+}
+
+/** Shared instance used by Morph.js and the page's cache control. */
+export const morphCache = new MorphCache();
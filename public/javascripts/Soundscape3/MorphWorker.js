@@ -0,0 +1,34 @@
+// @ts-check
+
+/* ============================== Morph Worker ============================== */
+/**
+ * Module worker that bakes one radial morph target (see MorphBVH.js) and exits.
+ * Started by Morph.js; cancelling a bake terminates the worker.
+ *
+ *   in:  {tris: Float32Array, base: Float32Array}   (normalized STL triangles, base positions)
+ *   out: {type: "progress", pct} ... then {type: "done", target} or {type: "error", message}
+ *
+ * Imports by relative path only, so it needs no import map.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+import { TriangleBVH, bakeRadial } from "./MorphBVH.js";
+
+self.addEventListener(
+  "message",
+  (e) => {
+    try
+    {
+      const { tris, base } = /** @type {{tris: Float32Array, base: Float32Array}} */ (e.data);
+      const bvh = new TriangleBVH(tris);
+      const target = bakeRadial(bvh, base, (pct) => self.postMessage({ type: "progress", pct }));
+      self.postMessage({ type: "done", target }, { transfer: [target.buffer] });
+    } catch (err)
+    {
+      self.postMessage({ type: "error", message: err instanceof Error ? err.message : String(err) });
+    }
+  },
+  { once: true }
+);
@@ -0,0 +1,298 @@
+// @ts-check
+import * as THREE from "three";
+import { OrbitControls } from "https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js";
+import { Config } from "Config";
+import { disposeObject, palette, rotatePaletteHue } from "Utility";
+
+/* ============================== Noise Ball ============================== */
+/**
+ * The /ball visualizer: a wireframe icosahedron between two wireframe grounds, rippled by
+ * simplex noise in the vertex shaders. The lows swell the ball, the highs roughen it, the
+ * top ground follows the highs and the bottom one the lows, with the old page's weights.
+ * The camera auto-orbits and can be dragged or zoomed (OrbitControls).
+ *
+ * Settings live in Config.ball:
+ *   bass    how far the lows swell the ball, 1 = the old page
+ *   treble  how much the highs roughen the ball
+ *   ground  how much the grounds ripple
+ *   spin    group turn and camera orbit speed
+ *   detail  icosahedron subdivisions (the old page: 4); the ball is rebuilt on change
+ *
+ * The ball takes the palette's glow color and the grounds its base color (Config.theme,
+ * including its hue offset); "synth" is the old magenta on purple.
+ *
+ *   const ball = new NoiseBall(canvas, analyser);
+ *   // per frame
+ *   ball.frame(t_ms);
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+const RADIUS = 10;
+/** Light direction of the old page's spotlight (at -10, 40, 20). */
+const LIGHT = new THREE.Vector3(-10, 40, 20).normalize();
+
+// Ashima simplex noise, as in MeshLayer
+const SNOISE = /* glsl */ `
+vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+float snoise(vec3 v) {
+  const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+  const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+  vec3 i = floor(v + dot(v, C.yyy));
+  vec3 x0 = v - i + dot(i, C.xxx);
+  vec3 g = step(x0.yzx, x0.xyz);
+  vec3 l = 1.0 - g;
+  vec3 i1 = min(g.xyz, l.zxy);
+  vec3 i2 = max(g.xyz, l.zxy);
+  vec3 x1 = x0 - i1 + C.xxx;
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
+  i = mod289(i);
+  vec4 p = permute(permute(permute(
+            i.z + vec4(0.0, i1.z, i2.z, 1.0))
+          + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+          + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+  float n_ = 0.142857142857;
+  vec3 ns = n_ * D.wyz - D.xzx;
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+  vec4 x_ = floor(j * ns.z);
+  vec4 y_ = floor(j - 7.0 * x_);
+  vec4 x = x_ * ns.x + ns.yyyy;
+  vec4 y = y_ * ns.x + ns.yyyy;
+  vec4 h = 1.0 - abs(x) - abs(y);
+  vec4 b0 = vec4(x.xy, y.xy);
+  vec4 b1 = vec4(x.zw, y.zw);
+  vec4 s0 = floor(b0) * 2.0 + 1.0;
+  vec4 s1 = floor(b1) * 2.0 + 1.0;
+  vec4 sh = -step(h, vec4(0.0));
+  vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+  vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+  vec3 p0 = vec3(a0.xy, h.x);
+  vec3 p1 = vec3(a0.zw, h.y);
+  vec3 p2 = vec3(a1.xy, h.z);
+  vec3 p3 = vec3(a1.zw, h.w);
+  vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+  p0 *= norm.x; p1 *= norm.y; p2 *= norm.z; p3 *= norm.w;
+  vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+  m = m * m;
+  return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}`;
+
+const BALL_VERTEX = /* glsl */ `
+uniform float uTime;
+uniform float uRadius;
+uniform float uBass;
+uniform float uTreble;
+uniform vec3 uLight;
+varying float vShade;
+${SNOISE}
+
+void main() {
+  vec3 n = normalize(position);
+  // Noise drifts along (7, 8, 9) like the old page; amplitude 7 at full treble
+  float d = uRadius + uBass + snoise(n + uTime * vec3(0.07, 0.08, 0.09)) * 7.0 * uTreble;
+  // Lambert on the undisplaced normal, ambient 0xaaaaaa plus the 0.9 spotlight
+  vShade = 0.67 + 0.9 * max(dot(normalize(mat3(modelMatrix) * n), uLight), 0.0);
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(n * d, 1.0);
+}`;
+
+const GROUND_VERTEX = /* glsl */ `
+uniform float uTime;
+uniform float uDistort;
+varying float vShade;
+${SNOISE}
+
+void main() {
+  vec3 p = position;
+  p.z = snoise(vec3(p.x + uTime * 0.3, p.y + uTime * 0.1, 0.0)) * uDistort * 2.0;
+  vShade = 0.67;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+}`;
+
+const FRAGMENT = /* glsl */ `
+uniform vec3 uColor;
+varying float vShade;
+
+void main() {
+  gl_FragColor = vec4(uColor * vShade, 1.0);
+  #include <colorspace_fragment>
+}`;
+
+/**
+ * @param {number} val
+ * @param {number} minVal
+ * @param {number} maxVal
+ * @param {number} outMin
+ * @param {number} outMax
+ */
+function modulate(val, minVal, maxVal, outMin, outMax) {
+  return outMin + ((val - minVal) / (maxVal - minVal)) * (outMax - outMin);
+}
+
+export class NoiseBall {
+  /** Analyser settings the ball was tuned for (see AudioGraph). */
+  static analyserOptions = { fftSize: 512, smoothing: 0.8 };
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   */
+  constructor(canvas, analyser) {
+    this.canvas = canvas;
+    this.analyser = analyser;
+    this.spec = new Uint8Array(analyser.frequencyBinCount);
+    /** @type {number|null} */
+    this.lastT = null;
+
+    this.renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
+    this.renderer.setClearColor(0x000000, 0);
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+    this.camera.position.set(0, 0, 100);
+    this.camera.lookAt(this.scene.position);
+    this.controls = new OrbitControls(this.camera, canvas);
+    this.controls.autoRotate = true;
+
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+
+    this.groundMaterial = new THREE.ShaderMaterial({
+      vertexShader: GROUND_VERTEX,
+      fragmentShader: FRAGMENT,
+      uniforms: {
+        uTime: { value: 0 },
+        uDistort: { value: 0.5 },
+        uColor: { value: new THREE.Color() },
+      },
+      side: THREE.DoubleSide,
+      wireframe: true,
+    });
+    const groundGeom = new THREE.PlaneGeometry(800, 800, 20, 20);
+    // Each ground ripples on its own band, so they share the geometry but not the uniforms
+    this.top = new THREE.Mesh(groundGeom, this.groundMaterial);
+    this.bottom = new THREE.Mesh(groundGeom, this.groundMaterial.clone());
+    this.bottom.material.uniforms.uColor = this.groundMaterial.uniforms.uColor;
+    this.top.rotation.x = this.bottom.rotation.x = -0.5 * Math.PI;
+    this.top.position.set(0, 30, 0);
+    this.bottom.position.set(0, -30, 0);
+    this.group.add(this.top, this.bottom);
+
+    this.ballMaterial = new THREE.ShaderMaterial({
+      vertexShader: BALL_VERTEX,
+      fragmentShader: FRAGMENT,
+      uniforms: {
+        uTime: { value: 0 },
+        uRadius: { value: RADIUS },
+        uBass: { value: 0 },
+        uTreble: { value: 0 },
+        uLight: { value: LIGHT },
+        uColor: { value: new THREE.Color() },
+      },
+      wireframe: true,
+    });
+    /** @type {THREE.Mesh|null} */
+    this.ball = null;
+
+    this.build(Config.get().ball.detail);
+    this.applyConfig(["ball", "theme"]);
+    this._offConfig = Config.onChange(({ sections }) => this.applyConfig(sections));
+    this._resizer = new ResizeObserver(() => this.resize());
+    this._resizer.observe(canvas);
+    this.resize();
+  }
+
+  /**
+   * (Re)build the ball.
+   * @param {number} detail - Icosahedron subdivisions.
+   */
+  build(detail) {
+    detail = Math.max(0, detail | 0);
+    this.detail = detail;
+    if (this.ball) {
+      this.ball.removeFromParent();
+      this.ball.geometry.dispose();
+    }
+    this.ball = new THREE.Mesh(new THREE.IcosahedronGeometry(RADIUS, detail), this.ballMaterial);
+    // The shader pushes vertices past the bounding sphere
+    this.ball.frustumCulled = false;
+    this.group.add(this.ball);
+  }
+
+  /** @param {Array<keyof Config>} sections */
+  applyConfig(sections) {
+    if (sections.includes("ball")) {
+      const cf = Config.get().ball;
+      if ((cf.detail | 0) !== this.detail) this.build(cf.detail);
+    }
+    if (sections.includes("theme")) {
+      const th = Config.get().theme;
+      const pal = rotatePaletteHue(palette(th.palette), th.hue);
+      this.ballMaterial.uniforms.uColor.value.copy(pal.glow);
+      this.groundMaterial.uniforms.uColor.value.copy(pal.base);
+    }
+  }
+
+  /** Fit the drawing buffer and camera to the canvas (DPR capped at 2). */
+  resize() {
+    const w = Math.max(2, this.canvas.clientWidth),
+      h = Math.max(2, this.canvas.clientHeight);
+    this.renderer.setPixelRatio(Math.min(2, window.devicePixelRatio || 1));
+    this.renderer.setSize(w, h, false);
+    this.camera.aspect = w / h;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /** @param {number} t_ms - Animation timestamp (requestAnimationFrame). */
+  frame(t_ms) {
+    const dt = this.lastT === null ? 1 / 60 : Math.min(0.1, (t_ms - this.lastT) / 1000);
+    this.lastT = t_ms;
+    const cf = Config.get().ball;
+    const spec = this.spec;
+    this.analyser.getByteFrequencyData(spec);
+
+    // The old page's lower-half peak and upper-half mean, each divided by its half's length
+    const half = spec.length / 2 - 1;
+    let lowerMax = 0,
+      upperSum = 0;
+    for (let i = 0; i < half; i++) lowerMax = Math.max(lowerMax, spec[i]);
+    for (let i = half; i < spec.length - 1; i++) upperSum += spec[i];
+    const upperLen = spec.length - 1 - half;
+    const lowerMaxFr = lowerMax / half;
+    const upperAvgFr = upperSum / upperLen / upperLen;
+
+    const t = t_ms / 1000;
+    const top = this.groundMaterial.uniforms,
+      bottom = /** @type {THREE.ShaderMaterial} */ (this.bottom.material).uniforms,
+      ball = this.ballMaterial.uniforms;
+    top.uTime.value = bottom.uTime.value = ball.uTime.value = t;
+    top.uDistort.value = modulate(upperAvgFr, 0, 1, 0.5, 4) * cf.ground;
+    bottom.uDistort.value = modulate(lowerMaxFr, 0, 1, 0.5, 4) * cf.ground;
+    ball.uBass.value = modulate(Math.pow(lowerMaxFr, 0.8), 0, 1, 0, 8) * cf.bass;
+    ball.uTreble.value = modulate(upperAvgFr, 0, 1, 0, 4) * cf.treble;
+
+    // The old page turned 0.005 rad per animation frame, at 60 Hz
+    this.group.rotation.y += 0.005 * dt * 60 * cf.spin;
+    this.controls.autoRotateSpeed = 2 * cf.spin;
+    this.controls.update(dt);
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /** Back to the boot state. */
+  reset() {
+    this.group.rotation.y = 0;
+    this.controls.reset();
+    this.lastT = null;
+  }
+
+  dispose() {
+    this._resizer.disconnect();
+    this._offConfig();
+    this.controls.dispose();
+    disposeObject(this.group);
+    this.renderer.dispose();
+  }
+}
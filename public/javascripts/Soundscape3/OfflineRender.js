@@ -0,0 +1,273 @@
+// @ts-check
+
+/* ============================== Offline Render ============================== */
+/**
+ * Frame-exact music video export.
+ *
+ * The track is decoded once, an OfflineAudioContext runs it through an AnalyserNode
+ * configured like the live one and is suspended at every frame time to snapshot the
+ * spectrum. The Visualizer is then stepped on a fixed clock (frame i at i/fps), fed
+ * from those snapshots instead of the live analyser, and every rendered frame goes
+ * through WebCodecs into a WebM (VP9/VP8 + Opus) built in memory.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Opus only takes a few rates; 48k is the safe one. */
+const EXPORT_SAMPLE_RATE = 48000;
+
+/**
+ * Per-frame byte spectra, laid out frame after frame, plus the RMS of each frame's analysis window.
+ * minDecibels/maxDecibels are the byte scale, so AudioFeatures can undo it on playback.
+ * @typedef {{data: Uint8Array, rms: Float32Array, bins: number, frames: number, fps: number, sampleRate: number, minDecibels: number, maxDecibels: number}} Spectrum
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {number} [fps=30]
+ * @property {number} [width=1920] - Output width in pixels (rounded down to even).
+ * @property {number} [height=1080] - Output height in pixels (rounded down to even).
+ * @property {number} [videoBitrate=8000000]
+ * @property {number} [audioBitrate=192000]
+ * @property {(stage: "decode"|"analyze"|"render"|"finalize", pct: number) => void} [onProgress]
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * Stand-in for an AnalyserNode that replays a precomputed Spectrum; set `index` before each frame.
+ */
+export class SpectrumPlayback {
+  /** @param {Spectrum} spectrum */
+  constructor(spectrum) {
+    this.spectrum = spectrum;
+    this.frequencyBinCount = spectrum.bins;
+    this.fftSize = spectrum.bins * 2;
+    this.context = { sampleRate: spectrum.sampleRate };
+    this.minDecibels = spectrum.minDecibels;
+    this.maxDecibels = spectrum.maxDecibels;
+    this.index = 0;
+  }
+
+  /** @returns {number} current frame, clamped */
+  #frame() {
+    return Math.min(Math.max(0, this.index), this.spectrum.frames - 1);
+  }
+
+  /** @param {Uint8Array} dst */
+  getByteFrequencyData(dst) {
+    const { data, bins } = this.spectrum;
+    const i = this.#frame();
+    dst.set(data.subarray(i * bins, (i + 1) * bins));
+  }
+
+  /**
+   * A constant signal at the frame's RMS: reproduces the level, not the waveform.
+   * @param {Float32Array} dst
+   */
+  getFloatTimeDomainData(dst) {
+    dst.fill(this.spectrum.rms[this.#frame()]);
+  }
+}
+
+/**
+ * Decode encoded audio at the export sample rate.
+ * @param {ArrayBuffer} bytes
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeForExport(bytes) {
+  const ctx = new OfflineAudioContext(2, 1, EXPORT_SAMPLE_RATE);
+  return ctx.decodeAudioData(bytes);
+}
+
+/**
+ * Snapshot the spectrum at every frame time by suspending an OfflineAudioContext.
+ * @param {AudioBuffer} buffer
+ * @param {{fps:number, fftSize:number, smoothingTimeConstant:number, minDecibels?:number, maxDecibels?:number}} cfg
+ * @param {(pct:number)=>void} [onProgress]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Spectrum>}
+ */
+export function analyzeSpectrum(buffer, cfg, onProgress, signal) {
+  const ctx = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const src = ctx.createBufferSource();
+  src.buffer = buffer;
+  const an = ctx.createAnalyser();
+  an.fftSize = cfg.fftSize;
+  an.smoothingTimeConstant = cfg.smoothingTimeConstant;
+  if (cfg.minDecibels !== undefined) an.minDecibels = cfg.minDecibels;
+  if (cfg.maxDecibels !== undefined) an.maxDecibels = cfg.maxDecibels;
+  src.connect(an).connect(ctx.destination);
+
+  const bins = an.frequencyBinCount;
+  const frames = Math.max(1, Math.floor(buffer.duration * cfg.fps));
+  const data = new Uint8Array(frames * bins);
+  const rms = new Float32Array(frames);
+  const wave = new Float32Array(an.fftSize);
+
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException("Render cancelled", "AbortError"));
+    if (signal?.aborted) return abort();
+    signal?.addEventListener("abort", abort, { once: true });
+
+    for (let i = 0; i < frames; i++)
+    {
+      ctx.suspend(i / cfg.fps).then(() => {
+        an.getByteFrequencyData(data.subarray(i * bins, (i + 1) * bins));
+        an.getFloatTimeDomainData(wave);
+        let sq = 0;
+        for (let k = 0; k < wave.length; k++) sq += wave[k] * wave[k];
+        rms[i] = Math.sqrt(sq / wave.length);
+        if ((i % 60) === 0) onProgress?.(i / frames);
+        // Leaving the context suspended abandons it; the promise is already rejected
+        if (!signal?.aborted) ctx.resume();
+      });
+    }
+    src.start(0);
+    ctx.startRendering().then(() => {
+      signal?.removeEventListener("abort", abort);
+      onProgress?.(1);
+      resolve({ data, rms, bins, frames, fps: cfg.fps, sampleRate: buffer.sampleRate, minDecibels: an.minDecibels, maxDecibels: an.maxDecibels });
+    }, reject);
+  });
+}
+
+/**
+ * Pick the first VP9/VP8 config the browser can encode.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} fps
+ * @param {number} bitrate
+ * @returns {Promise<{config: VideoEncoderConfig, muxCodec: string}>}
+ */
+async function pickVideoCodec(width, height, fps, bitrate) {
+  for (const [codec, muxCodec] of [["vp09.00.10.08", "V_VP9"], ["vp8", "V_VP8"]])
+  {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    if (supported) return { config, muxCodec };
+  }
+  throw new Error("No supported WebM video encoder (VP9/VP8)");
+}
+
+/**
+ * Wait until an encoder has room, so frames do not pile up in memory.
+ * @param {VideoEncoder|AudioEncoder} enc
+ */
+async function drain(enc) {
+  while (enc.encodeQueueSize > 8) await new Promise((r) => setTimeout(r, 1));
+}
+
+/**
+ * Render a track through the Visualizer into a WebM.
+ * The live analyser, size and motion state are restored afterwards; the caller should
+ * stop its own animation loop while this runs.
+ * @param {import("Visualizer").Visualizer} viz
+ * @param {ArrayBuffer} audioBytes - Encoded audio file (mp3, wav, ogg...).
+ * @param {RenderOptions} [opts]
+ * @returns {Promise<Blob>} video/webm
+ */
+export async function renderVideo(viz, audioBytes, opts = {}) {
+  const {
+    fps = 30,
+    videoBitrate = 8_000_000,
+    audioBitrate = 192_000,
+    onProgress,
+    signal,
+  } = opts;
+  const width = (opts.width ?? 1920) & ~1, height = (opts.height ?? 1080) & ~1;
+  if (typeof VideoEncoder === "undefined" || typeof AudioEncoder === "undefined")
+    throw new Error("Video export needs WebCodecs (VideoEncoder/AudioEncoder)");
+
+  onProgress?.("decode", 0);
+  const buffer = await decodeForExport(audioBytes);
+  onProgress?.("decode", 1);
+
+  const live = /** @type {AnalyserNode} */ (viz.analyser);
+  const spectrum = await analyzeSpectrum(buffer, {
+    fps,
+    fftSize: live.fftSize ?? viz.fftBins * 2,
+    smoothingTimeConstant: live.smoothingTimeConstant ?? 0.3,
+    minDecibels: live.minDecibels,
+    maxDecibels: live.maxDecibels,
+  }, (p) => onProgress?.("analyze", p), signal);
+
+  // Only fetched when someone actually exports, so the pages don't depend on unpkg serving it
+  const { Muxer, ArrayBufferTarget } = await import("https://unpkg.com/webm-muxer@5.1.4/build/webm-muxer.mjs");
+  const { config: vcfg, muxCodec } = await pickVideoCodec(width, height, fps, videoBitrate);
+  const channels = Math.min(2, buffer.numberOfChannels);
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: muxCodec, width, height, frameRate: fps },
+    audio: { codec: "A_OPUS", numberOfChannels: channels, sampleRate: buffer.sampleRate },
+    firstTimestampBehavior: "offset",
+  });
+
+  /** @type {Error|null} */
+  let encErr = null;
+  const onError = (/** @type {Error} */ e) => { encErr ??= e; };
+  const venc = new VideoEncoder({ output: (c, m) => muxer.addVideoChunk(c, m), error: onError });
+  venc.configure(vcfg);
+  const aenc = new AudioEncoder({ output: (c, m) => muxer.addAudioChunk(c, m), error: onError });
+  aenc.configure({ codec: "opus", sampleRate: buffer.sampleRate, numberOfChannels: channels, bitrate: audioBitrate });
+
+  const playback = new SpectrumPlayback(spectrum);
+  const prevAnalyser = viz.setAnalyser(playback);
+  // Look-ahead follows the export timeline, not the paused <audio>
+  const prevClock = viz.setTrackClock(() => playback.index / fps);
+  viz.setFixedSize({ width, height });
+  viz.resetMotion();
+  try
+  {
+    const frameUs = 1e6 / fps;
+    for (let i = 0; i < spectrum.frames; i++)
+    {
+      if (signal?.aborted) throw new DOMException("Render cancelled", "AbortError");
+      if (encErr) throw encErr;
+      playback.index = i;
+      viz.frame((i * 1000) / fps);
+      // Grab the canvas before yielding; the drawing buffer is not preserved
+      const vf = new VideoFrame(viz.canvas, { timestamp: Math.round(i * frameUs), duration: Math.round(frameUs) });
+      venc.encode(vf, { keyFrame: i % (fps * 2) === 0 });
+      vf.close();
+      if ((i % 10) === 0) onProgress?.("render", i / spectrum.frames);
+      await drain(venc);
+    }
+    onProgress?.("render", 1);
+
+    // Audio in one-second planar chunks
+    onProgress?.("finalize", 0);
+    const step = buffer.sampleRate;
+    for (let off = 0; off < buffer.length; off += step)
+    {
+      const n = Math.min(step, buffer.length - off);
+      const planes = new Float32Array(n * channels);
+      for (let c = 0; c < channels; c++) planes.set(buffer.getChannelData(c).subarray(off, off + n), c * n);
+      const ad = new AudioData({
+        format: "f32-planar",
+        sampleRate: buffer.sampleRate,
+        numberOfFrames: n,
+        numberOfChannels: channels,
+        timestamp: Math.round((off / buffer.sampleRate) * 1e6),
+        data: planes,
+      });
+      aenc.encode(ad);
+      ad.close();
+      await drain(aenc);
+    }
+    await venc.flush();
+    await aenc.flush();
+    if (encErr) throw encErr;
+    muxer.finalize();
+    onProgress?.("finalize", 1);
+    return new Blob([muxer.target.buffer], { type: "video/webm" });
+  } finally
+  {
+    if (venc.state !== "closed") venc.close();
+    if (aenc.state !== "closed") aenc.close();
+    viz.setAnalyser(prevAnalyser);
+    viz.setTrackClock(prevClock);
+    viz.setFixedSize(null);
+    viz.resetMotion();
+  }
+}
@@ -0,0 +1,576 @@
+// @ts-check
+import * as THREE from "three";
+import { AudioFeatures } from "AudioFeatures";
+import { Config } from "Config";
+import { disposeObject, palette, rotatePaletteHue } from "Utility";
+
+/* ============================== Particles 2D ============================== */
+/**
+ * The original 2D particle visualizers, on the shared player: point grids projected with a
+ * simple perspective divide and joined by one-pixel lines. The projection stays on the CPU
+ * (a few thousand points); the lines go to WebGL as one batched draw per frame, so the
+ * cost no longer grows with the screen. Config.particles.resolution scales the canvas:
+ * 1 draws one pixel per CSS pixel like the old pages, lower values help big screens,
+ * higher ones sharpen high-DPR displays.
+ *
+ *   "tunnel"   RingTunnel: rings of particles flying at the viewer, each point pushed out
+ *              by its spectrum bin (the /becausewhynot page). The pointer steers the
+ *              tunnel; holding it down reverses the flight and inverts the colors.
+ *   "horizon"  GridHorizon: a ground and a sky grid scrolling toward the viewer, heights
+ *              from the spectrum (the /soundscape page). The view pans away from the pointer.
+ *
+ * Line colors come from the Config.theme palette (including its hue offset); the pitch
+ * class of the music turns the hue and the spectral centroid sets the brightness, as on
+ * the old pages. Each scene lists the analyser settings it was tuned for in
+ * `analyserOptions`.
+ *
+ *   const scene = new SCENES.tunnel(canvas, analyser);
+ *   // per frame
+ *   scene.frame();
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+const INVERT_VERTEX = /* glsl */ `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}`;
+
+const INVERT_FRAGMENT = /* glsl */ `
+uniform sampler2D tFrame;
+uniform float uInvert;
+varying vec2 vUv;
+void main() {
+  gl_FragColor = vec4(abs(vec3(uInvert) - texture2D(tFrame, vUv).rgb), 1.0);
+}`;
+
+/**
+ * One-pixel lines in CSS pixel coordinates (y down), batched into a single LineSegments
+ * draw per frame. Colors pass through unconverted, so a line looks exactly like the
+ * bytes it was given. The canvas renders at `scale` device pixels per CSS pixel.
+ */
+class LineCanvas {
+  /** @param {HTMLCanvasElement} canvas */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: false, alpha: false });
+    this.renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+    this.renderer.setClearColor(0x000000, 1);
+    this.w = 0;
+    this.h = 0;
+    this.scale = 1;
+    /** Lines written this frame. */
+    this.n = 0;
+    /** Soft invert of this frame, 0..255. */
+    this.invert = 0;
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.OrthographicCamera(0, 1, 0, 1, -1, 1);
+    this.geom = new THREE.BufferGeometry();
+    this.pos = new Float32Array(0);
+    this.col = new Float32Array(0);
+    this.#grow(4096);
+    this.lines = new THREE.LineSegments(
+      this.geom,
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, depthWrite: false, toneMapped: false })
+    );
+    this.lines.frustumCulled = false;
+    this.scene.add(this.lines);
+    /** @type {THREE.WebGLRenderTarget|null} Frame buffer for the invert pass, made on first use. */
+    this.target = null;
+    this.quad = new THREE.Mesh(
+      new THREE.PlaneGeometry(2, 2),
+      new THREE.ShaderMaterial({
+        uniforms: { tFrame: { value: null }, uInvert: { value: 0 } },
+        vertexShader: INVERT_VERTEX,
+        fragmentShader: INVERT_FRAGMENT,
+        depthTest: false,
+        depthWrite: false,
+      })
+    );
+    this.quad.frustumCulled = false;
+  }
+
+  /**
+   * @param {number} w - CSS pixels.
+   * @param {number} h
+   * @param {number} [scale=1] - Device pixels per CSS pixel.
+   */
+  resize(w, h, scale = this.scale) {
+    this.w = Math.max(1, w | 0);
+    this.h = Math.max(1, h | 0);
+    this.scale = scale;
+    this.renderer.setPixelRatio(scale);
+    this.renderer.setSize(this.w, this.h, false);
+    this.camera.right = this.w;
+    this.camera.bottom = this.h;
+    this.camera.updateProjectionMatrix();
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.target?.setSize(size.x, size.y);
+  }
+
+  clear() {
+    this.n = 0;
+    this.invert = 0;
+  }
+
+  /**
+   * Line between two points, clipped by the viewport.
+   * @param {number} x1
+   * @param {number} y1
+   * @param {number} x2
+   * @param {number} y2
+   * @param {number} r 0..255
+   * @param {number} g 0..255
+   * @param {number} b 0..255
+   */
+  line(x1, y1, x2, y2, r, g, b) {
+    if (this.n * 6 >= this.pos.length) this.#grow(this.n * 2);
+    const i = this.n++ * 6;
+    const pos = this.pos,
+      col = this.col;
+    // Through pixel centers, like the pixels the old Bresenham lines set
+    pos[i] = x1 + 0.5;
+    pos[i + 1] = y1 + 0.5;
+    pos[i + 3] = x2 + 0.5;
+    pos[i + 4] = y2 + 0.5;
+    col[i] = col[i + 3] = r / 255;
+    col[i + 1] = col[i + 4] = g / 255;
+    col[i + 2] = col[i + 5] = b / 255;
+  }
+
+  /**
+   * |value - channel| on every pixel of this frame: 0 leaves it alone, 255 inverts it.
+   * @param {number} value
+   */
+  softInvert(value) {
+    this.invert = value;
+  }
+
+  present() {
+    const { renderer, geom, n } = this;
+    for (const name of ["position", "color"]) {
+      // #grow() only ever sets plain BufferAttributes
+      const attr = /** @type {THREE.BufferAttribute} */ (geom.getAttribute(name));
+      attr.clearUpdateRanges();
+      attr.addUpdateRange(0, n * 6);
+      attr.needsUpdate = true;
+    }
+    geom.setDrawRange(0, n * 2);
+    if (this.invert <= 0) {
+      renderer.setRenderTarget(null);
+      renderer.render(this.scene, this.camera);
+      return;
+    }
+    if (!this.target) {
+      const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+      this.target = new THREE.WebGLRenderTarget(size.x, size.y, { depthBuffer: false });
+    }
+    renderer.setRenderTarget(this.target);
+    renderer.render(this.scene, this.camera);
+    renderer.setRenderTarget(null);
+    const mat = /** @type {THREE.ShaderMaterial} */ (this.quad.material);
+    mat.uniforms.tFrame.value = this.target.texture;
+    mat.uniforms.uInvert.value = this.invert / 255;
+    renderer.render(this.quad, this.camera);
+  }
+
+  dispose() {
+    disposeObject(this.lines);
+    disposeObject(this.quad);
+    this.target?.dispose();
+    this.renderer.dispose();
+  }
+
+  /**
+   * Room for at least `lines` segments; the old GPU buffers go with the geometry dispose.
+   * @param {number} lines
+   */
+  #grow(lines) {
+    const pos = new Float32Array(lines * 6);
+    const col = new Float32Array(lines * 6);
+    pos.set(this.pos);
+    col.set(this.col);
+    this.pos = pos;
+    this.col = col;
+    this.geom.dispose();
+    this.geom.setAttribute("position", new THREE.BufferAttribute(pos, 3).setUsage(THREE.DynamicDrawUsage));
+    this.geom.setAttribute("color", new THREE.BufferAttribute(col, 3).setUsage(THREE.DynamicDrawUsage));
+  }
+}
+
+/** @typedef {{r: number, g: number, b: number}} RGB 0..1 sRGB */
+
+/** Shared by the scenes: canvas, spectrum, features, pointer and palette colors. */
+class ParticleScene {
+  /** Analyser settings the scene was tuned for (see AudioGraph). */
+  static analyserOptions = { fftSize: 2048, smoothing: 0.3 };
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   */
+  constructor(canvas, analyser) {
+    this.canvas = canvas;
+    this.analyser = analyser;
+    this.px = new LineCanvas(canvas);
+    this.features = new AudioFeatures(analyser);
+    this.spec = new Uint8Array(analyser.frequencyBinCount);
+    this.pointer = { active: false, down: false, x: 0, y: 0 };
+    /** @type {import("Utility").Palette} */
+    this.pal = this.#themePalette();
+    this._scratch = new THREE.Color();
+    this._rgb = /** @type {RGB} */ ({ r: 0, g: 0, b: 0 });
+
+    /** @type {Array<[string, (e: any) => void]>} */
+    this._listeners = [
+      ["pointerenter", () => (this.pointer.active = true)],
+      ["pointerleave", () => {
+        Object.assign(this.pointer, { active: false, down: false, x: this.px.w / 2, y: this.px.h / 2 });
+      }],
+      ["pointermove", (e) => this.#track(e)],
+      ["pointerdown", (e) => {
+        this.pointer.active = this.pointer.down = true;
+        this.#track(e);
+      }],
+      ["pointerup", () => (this.pointer.down = false)],
+      ["pointercancel", () => (this.pointer.down = false)],
+    ];
+    for (const [type, fn] of this._listeners) canvas.addEventListener(type, fn);
+    this._resizer = new ResizeObserver(() => this.resize());
+    this._resizer.observe(canvas);
+    this._offConfig = Config.onChange(({ sections }) => {
+      if (sections.includes("particles")) this.resize();
+      if (!sections.includes("theme")) return;
+      this.pal = this.#themePalette();
+      this.paint();
+    });
+    this.px.resize(canvas.clientWidth, canvas.clientHeight, Config.get().particles.resolution);
+  }
+
+  /** Fit the drawing buffer to the canvas' CSS size and Config.particles.resolution. */
+  resize() {
+    const w = this.canvas.clientWidth,
+      h = this.canvas.clientHeight;
+    const scale = Config.get().particles.resolution;
+    if (w === this.px.w && h === this.px.h && scale === this.px.scale) return;
+    this.px.resize(w, h, scale);
+  }
+
+  /** Reset the followed colors to the palette (boot and theme changes). */
+  paint() { }
+
+  /** Read the analyser, draw one frame and show it. */
+  frame() {
+    this.analyser.getByteFrequencyData(this.spec);
+    this.features.update(this.spec);
+    this.px.clear();
+    this.draw(this.spec);
+    this.px.present();
+  }
+
+  /**
+   * @param {Uint8Array} spec - This frame's byte spectrum.
+   */
+  draw(spec) { }
+
+  dispose() {
+    for (const [type, fn] of this._listeners) this.canvas.removeEventListener(type, fn);
+    this._resizer.disconnect();
+    this._offConfig();
+    this.px.dispose();
+  }
+
+  /**
+   * Ease a color toward `base` turned by the music's pitch hue, at the centroid's brightness.
+   * @param {RGB} color - Eased in place.
+   * @param {THREE.Color} base - Palette color.
+   * @param {number} [rate=0.08]
+   */
+  follow(color, base, rate = 0.08) {
+    const f = this.features;
+    const target = this.toRGB(this._scratch.copy(base).offsetHSL(f.hue, 0, 0));
+    const brightness = Math.min(1, 0.55 + f.centroidNorm * 0.6);
+    color.r += (target.r * brightness - color.r) * rate;
+    color.g += (target.g * brightness - color.g) * rate;
+    color.b += (target.b * brightness - color.b) * rate;
+  }
+
+  /**
+   * @param {THREE.Color} c
+   * @returns {RGB} sRGB components (a shared scratch object)
+   */
+  toRGB(c) {
+    return c.getRGB(this._rgb, THREE.SRGBColorSpace);
+  }
+
+  /** @returns {import("Utility").Palette} */
+  #themePalette() {
+    const { palette: id, hue } = Config.get().theme;
+    return rotatePaletteHue(palette(id), hue);
+  }
+
+  /** @param {PointerEvent} e */
+  #track(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.pointer.x = e.clientX - rect.left;
+    this.pointer.y = e.clientY - rect.top;
+  }
+}
+
+/**
+ * @typedef {Object} Particle
+ * @property {number} x
+ * @property {number} y
+ * @property {number} x2d - Screen position of this frame.
+ * @property {number} y2d
+ * @property {number} bin - Spectrum bin driving the particle.
+ * @property {number} index - Position around the ring (RingTunnel).
+ * @property {number} radius - Audio-pushed ring radius (RingTunnel).
+ */
+
+/** @typedef {{z: number, pts: Particle[]}} Row */
+
+/**
+ * @param {Partial<Particle>} p
+ * @returns {Particle}
+ */
+function particle(p) {
+  return { x: 0, y: 0, x2d: 0, y2d: 0, bin: 0, index: 0, radius: 0, ...p };
+}
+
+export class RingTunnel extends ParticleScene {
+  static analyserOptions = { fftSize: 16384, smoothing: 0.65 };
+  static FOV = 250;
+  static SPEED = 0.75;
+  static FOLLOW = 0.015;
+  static SEGMENTS = 64;
+  static RADIUS = 75;
+  static BIN_MIN = 8;
+  static BIN_MAX = 1024;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   */
+  constructor(canvas, analyser) {
+    super(canvas, analyser);
+    const { FOV, SEGMENTS, RADIUS, BIN_MIN, BIN_MAX } = RingTunnel;
+    /** Rings far to near; one shared vanishing point. */
+    /** @type {Row[]} */
+    this.rows = [];
+    this.center = { x: this.px.w / 2, y: this.px.h / 2 };
+    this.time = 0;
+    this.invert = 0;
+    /** @type {RGB} */
+    this.color = { r: 0, g: 0, b: 0 };
+    for (let z = -FOV; z < FOV; z += 4) {
+      // Each ring reads a run of neighbouring bins, up over the first half and back down
+      let bin = Math.floor(Math.random() * BIN_MAX) + BIN_MIN;
+      const pts = [];
+      for (let i = 0; i <= SEGMENTS; i++) {
+        pts.push(particle({ index: i, radius: RADIUS, bin }));
+        bin += i < (SEGMENTS + 1) / 2 ? 1 : -1;
+        if (bin > BIN_MAX) bin = BIN_MIN;
+        if (bin < BIN_MIN) bin = BIN_MAX;
+      }
+      const row = { z, pts };
+      this.#place(row);
+      this.rows.push(row);
+    }
+    this.paint();
+  }
+
+  paint() {
+    Object.assign(this.color, this.toRGB(this.pal.glow));
+  }
+
+  resize() {
+    super.resize();
+    this.center.x = this.px.w / 2;
+    this.center.y = this.px.h / 2;
+  }
+
+  /** @param {Uint8Array} spec */
+  draw(spec) {
+    const { FOV, SPEED, FOLLOW } = RingTunnel;
+    const { px, pointer, center, rows, color } = this;
+    const back = pointer.down;
+    const hw = px.w / 2,
+      hh = px.h / 2;
+    this.follow(color, this.pal.glow);
+    let wrapped = false;
+    for (let i = 0, l = rows.length; i < l; i++) {
+      const row = rows[i];
+      // Near rings swing further with the pointer; without it the view drifts back to the middle
+      if (pointer.active) {
+        center.x = (hw - pointer.x) * ((row.z - FOV) / 500) + hw;
+        center.y = (hh - pointer.y) * ((row.z - FOV) / 500) + hh;
+      } else {
+        center.x += (hw - center.x) * FOLLOW;
+        center.y += (hh - center.y) * FOLLOW;
+      }
+      const scale = FOV / (FOV + row.z);
+      const pts = row.pts;
+      for (const p of pts) {
+        p.x2d = (p.x * scale + center.x) | 0;
+        p.y2d = (p.y * scale + center.y) | 0;
+        p.radius = RingTunnel.RADIUS + (spec[p.bin] ?? 0) / 8;
+      }
+      row.z += back ? SPEED : -SPEED;
+      if (row.z > FOV) {
+        row.z -= FOV * 2;
+        wrapped = true;
+      } else if (row.z < -FOV) {
+        row.z += FOV * 2;
+        wrapped = true;
+      }
+      const v = Math.round((i / l) * 200);
+      const r = Math.round(v * color.r),
+        g = Math.round(v * color.g),
+        b = Math.round(v * color.b);
+      const prev = i > 0 && i < l - 1 ? rows[i - 1].pts : null;
+      for (let j = 0; j < pts.length; j++) {
+        const p = pts[j];
+        if (j > 0) px.line(p.x2d, p.y2d, pts[j - 1].x2d, pts[j - 1].y2d, r, g, b);
+        // Diagonal to the ring behind, one step round
+        if (prev) {
+          const q = prev[j > 0 ? j - 1 : prev.length - 1];
+          px.line(p.x2d, p.y2d, q.x2d, q.y2d, r, g, b);
+        }
+      }
+      this.#place(row);
+    }
+    if (wrapped) rows.sort((a, b) => b.z - a.z);
+    this.time += back ? -0.005 : 0.005;
+
+    // Soft color invert while the pointer is held
+    this.invert = Math.max(0, Math.min(255, this.invert + (back ? 5 : -5)));
+    if (this.invert > 0) px.softInvert(this.invert);
+  }
+
+  /**
+   * Points of a ring for the next frame; the last one closes the ring on the first.
+   * @param {Row} row
+   */
+  #place(row) {
+    const { SEGMENTS } = RingTunnel;
+    const pts = row.pts;
+    const first = pts[0];
+    for (let j = 0; j < pts.length; j++) {
+      const p = j < pts.length - 1 ? pts[j] : first;
+      const a = p.index * ((Math.PI * 2) / SEGMENTS) + this.time;
+      pts[j].x = Math.cos(a) * p.radius;
+      pts[j].y = Math.sin(a) * p.radius;
+    }
+  }
+}
+
+export class GridHorizon extends ParticleScene {
+  static analyserOptions = { fftSize: 8192, smoothing: 0.75 };
+  static FOV = 170;
+  static SPEED = 1;
+  static GAP = 12;
+  static STEP = 5;
+  static BIN_MIN = 8;
+  static BIN_MAX = 512;
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   */
+  constructor(canvas, analyser) {
+    super(canvas, analyser);
+    this.center = { x: this.px.w / 2, y: this.px.h / 2 };
+    this.ground = GridHorizon.#grid();
+    this.sky = GridHorizon.#grid();
+    /** @type {RGB} */
+    this.groundColor = { r: 0, g: 0, b: 0 };
+    /** @type {RGB} */
+    this.skyColor = { r: 0, g: 0, b: 0 };
+    this.paint();
+  }
+
+  paint() {
+    Object.assign(this.groundColor, this.toRGB(this.pal.base));
+    Object.assign(this.skyColor, this.toRGB(this.pal.glow));
+  }
+
+  resize() {
+    super.resize();
+    this.center.x = this.px.w / 2;
+    this.center.y = this.px.h / 2;
+  }
+
+  /** @param {Uint8Array} spec */
+  draw(spec) {
+    const { px, pointer, center } = this;
+    this.follow(this.groundColor, this.pal.base);
+    this.follow(this.skyColor, this.pal.glow);
+    this.#drawGrid(this.ground, spec, 1, 155, this.groundColor);
+    this.#drawGrid(this.sky, spec, -1, 255, this.skyColor);
+    if (pointer.active) center.x += (px.w - pointer.x - center.x) * 0.0125;
+    else center.x += (px.w / 2 - center.x) * 0.015;
+  }
+
+  /**
+   * @param {Row[]} rows
+   * @param {Uint8Array} spec
+   * @param {number} dir - 1 below the horizon, -1 above.
+   * @param {number} max - Line brightness of the nearest row, 0..255.
+   * @param {RGB} color
+   */
+  #drawGrid(rows, spec, dir, max, color) {
+    const { FOV, SPEED, GAP } = GridHorizon;
+    const { px, center } = this;
+    let wrapped = false;
+    for (let i = 0, l = rows.length; i < l; i++) {
+      const row = rows[i];
+      const scale = FOV / (FOV + row.z);
+      const v = Math.round((i / l) * max);
+      const r = Math.round(v * color.r),
+        g = Math.round(v * color.g),
+        b = Math.round(v * color.b);
+      const prev = i > 0 && i < l - 1 ? rows[i - 1].pts : null;
+      const pts = row.pts;
+      for (let j = 0; j < pts.length; j++) {
+        const p = pts[j];
+        p.x2d = (p.x * scale + center.x) | 0;
+        p.y2d = (p.y * scale + center.y) | 0;
+        p.y = dir * ((spec[p.bin] ?? 0) / 10 + GAP);
+        if (j > 0) px.line(p.x2d, p.y2d, pts[j - 1].x2d, pts[j - 1].y2d, r, g, b);
+        if (prev) px.line(p.x2d, p.y2d, prev[j].x2d, prev[j].y2d, r, g, b);
+      }
+      row.z -= SPEED;
+      if (row.z < -FOV) {
+        row.z += FOV * 2;
+        wrapped = true;
+      }
+    }
+    if (wrapped) rows.sort((a, b) => b.z - a.z);
+  }
+
+  /** @returns {Row[]} Square grid, bins running along the rows and wrapping. */
+  static #grid() {
+    const { FOV, STEP, BIN_MIN, BIN_MAX } = GridHorizon;
+    const rows = [];
+    let bin = BIN_MIN;
+    for (let z = -FOV; z < FOV; z += STEP) {
+      const pts = [];
+      for (let x = -FOV; x < FOV; x += STEP) {
+        pts.push(particle({ x, bin }));
+        if (++bin > BIN_MAX) bin = BIN_MIN;
+      }
+      rows.push({ z, pts });
+    }
+    return rows;
+  }
+}
+
+/** Scene classes by data-scene name. */
+export const SCENES = Object.freeze({
+  tunnel: RingTunnel,
+  horizon: GridHorizon,
+});
@@ -0,0 +1,764 @@
+// @ts-check
+import { Config } from "Config";
+import { LiveInput } from "LiveInput";
+import { Playlist } from "Playlist";
+import { hasPalette, listPalettes, registerPalette } from "Utility";
+
+/* ============================== Player ============================== */
+/**
+ * Page plumbing shared by the player pages: data-* options on #player (or <body>), the
+ * Web Audio graph behind the <audio> element, and the basic control sheet.
+ *
+ * Every player page calls installPlayerControls() for play/pause, live input, the file
+ * picker and queue, stage drops, volume and the palette select in one go; soundscape3.js
+ * adds its own work through the onLoad and onDrop hooks. bindConfigSliders() ties a
+ * page's own sliders to its Config section:
+ *
+ *   const audio = document.getElementById("player");
+ *   applyPageConfig(audio);
+ *   const graph = new AudioGraph(audio, { fftSize: 8192, smoothing: 0.75 });
+ *   installPlayerControls(audio, graph, { stage: canvas });
+ *   const analyser = graph.ensure().analyser;
+ *   bindConfigSliders("particles", [["resolution", "resolution", 2]]);
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/**
+ * @description Resolves a boolean-ish attribute.
+ * @param {any} v
+ * @returns {boolean}
+ */
+export function parseBool(v) {
+  return typeof v === "string" && v.toLowerCase() === "true";
+}
+
+/**
+ * @description Clamps to [0,1] number or undefined.
+ * @param {any} v
+ * @returns {number|undefined}
+ */
+export function parseVolume(v) {
+  if (typeof v !== "string") return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : undefined;
+}
+
+/**
+ * @description Gets dataset value from a preferred element, with a fallback host.
+ * @param {string} name Dataset key name (without "data-")
+ * @param {HTMLElement} primaryEl Primary element to check first
+ * @param {HTMLElement} fallbackEl Fallback element to check second
+ * @returns {string|undefined} Value if present and non-empty, else undefined
+ */
+export function getData(name, primaryEl, fallbackEl) {
+  const k = name in primaryEl.dataset ? primaryEl.dataset[name] : undefined;
+  return typeof k === "string" && k.length > 0
+    ? k
+    : typeof fallbackEl.dataset[name] === "string" &&
+      fallbackEl.dataset[name].length > 0
+    ? fallbackEl.dataset[name]
+    : undefined;
+}
+
+/**
+ * @description Parses a JSON object of per-section Config overrides.
+ * @param {string|undefined} v
+ * @returns {Record<string, object>}
+ */
+export function parseConfigOverrides(v) {
+  if (typeof v !== "string") return {};
+  try {
+    const o = JSON.parse(v);
+    return o && typeof o === "object" && !Array.isArray(o) ? o : {};
+  } catch {
+    console.warn("Ignoring malformed data-config:", v);
+    return {};
+  }
+}
+
+/**
+ * @description Registers custom palettes from a JSON object keyed by palette id.
+ * @param {string|undefined} v
+ * @returns {void}
+ */
+export function registerCustomPalettes(v) {
+  if (typeof v !== "string") return;
+  let defs;
+  try {
+    defs = JSON.parse(v);
+  } catch {
+    console.warn("Ignoring malformed data-palettes:", v);
+    return;
+  }
+  for (const [id, spec] of Object.entries(defs || {})) {
+    try {
+      registerPalette(id, spec);
+    } catch (e) {
+      console.warn(e instanceof Error ? e.message : e);
+    }
+  }
+}
+
+/**
+ * @description Adds an option for every registered palette the select does not list yet.
+ * @param {HTMLSelectElement} sel
+ * @returns {void}
+ */
+export function syncPaletteOptions(sel) {
+  const known = new Set(Array.from(sel.options, (o) => o.value));
+  for (const { id, label } of listPalettes()) {
+    if (known.has(id)) continue;
+    sel.add(new Option(label, id));
+  }
+}
+
+/**
+ * @description Extracts a friendly name from a URL like "/audio/GoodLuckWithThat_Redux.mp3".
+ * @param {string} url
+ * @returns {string} Filename without extension, or original URL if invalid.
+ */
+export function filenameLabel(url) {
+  try {
+    const p = new URL(url, location.href).pathname;
+    const base = p.split("/").pop() || "";
+    return base.replace(/\.[a-zA-Z0-9]+$/, "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * @description Ensures an <audio> element has a source; prefer its src, else data-default-track on audio/body.
+ * @param {HTMLAudioElement} audio
+ * @param {HTMLElement|null} statusEl Optional status element to update with messages.
+ * @returns {string} The chosen source URL, or empty string if none found.
+ */
+export function ensureDefaultTrack(audio, statusEl) {
+  const body = document.body;
+  const current = audio.getAttribute("src") || "";
+  if (current.trim() !== "") return current;
+  const fallback = getData("defaultTrack", audio, body) || "";
+  if (fallback) {
+    audio.src = fallback;
+    if (statusEl)
+      statusEl.textContent = `Loaded default: ${filenameLabel(fallback)}`;
+    return fallback;
+  }
+  if (statusEl) statusEl.textContent = "No audio source configured.";
+  return "";
+}
+
+/**
+ * @description Sets the footer text from title override or filename.
+ * @param {HTMLElement|null} nowPlayingEl
+ * @param {string|undefined} explicitTitle
+ * @param {string} srcUrl
+ * @return {void}
+ */
+export function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
+  const title =
+    explicitTitle && explicitTitle.trim() !== ""
+      ? explicitTitle
+      : filenameLabel(srcUrl || "");
+  if (nowPlayingEl)
+    nowPlayingEl.textContent = title ? `Now Playing: ${title}` : "Idle";
+}
+
+/**
+ * @description True for files the <audio> element can be expected to play.
+ * @param {File} f
+ * @returns {boolean}
+ */
+export function isAudioFile(f) {
+  return f.type.startsWith("audio/") || /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i.test(f.name);
+}
+
+/**
+ * @description Settles Config from the page before anything reads it: registers data-palettes,
+ *   then applies defaults < data-palette < data-config < #preset= hash, and selects the
+ *   resulting palette in #palette.
+ * @param {HTMLAudioElement} audio
+ * @returns {boolean} true when a #preset= hash was loaded
+ */
+export function applyPageConfig(audio) {
+  const body = document.body;
+  const paletteSel = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById("palette")
+  );
+  registerCustomPalettes(getData("palettes", audio, body));
+  if (paletteSel) syncPaletteOptions(paletteSel);
+  const startPalette = getData("palette", audio, body);
+  if (startPalette) Config.update({ theme: { palette: startPalette } });
+  for (const [key, section] of Object.entries(
+    parseConfigOverrides(getData("config", audio, body))
+  )) {
+    const current = Config.read(/** @type {keyof Config} */ (key));
+    if (current && typeof current === "object") {
+      Config.update({ [key]: section });
+    } else {
+      console.warn(`Unknown Config section in data-config: ${key}`);
+    }
+  }
+  const preset = Config.fromHash(location.hash);
+  if (paletteSel && hasPalette(Config.get().theme.palette))
+    paletteSel.value = Config.get().theme.palette;
+  return preset;
+}
+
+/**
+ * @description Two-way binds a page's range inputs to one Config section. Each row is
+ *   [element id, key, readout decimals]; the readout is the element `#<id>v`. Missing
+ *   elements are skipped.
+ * @template {keyof Config} S
+ * @param {S} section
+ * @param {Array<[string, keyof Config[S] & string, number]>} rows
+ * @returns {void}
+ */
+export function bindConfigSliders(section, rows) {
+  const input = (/** @type {string} */ id) =>
+    /** @type {HTMLInputElement|null} */ (document.getElementById(id));
+  function show() {
+    const cf = /** @type {Record<string, number>} */ (Config.read(section));
+    for (const [id, key, digits] of rows) {
+      const el = input(id);
+      const val = document.getElementById(id + "v");
+      if (el) el.value = String(cf[key]);
+      if (val) val.textContent = cf[key].toFixed(digits);
+    }
+  }
+  for (const [id, key] of rows) {
+    const el = input(id);
+    el?.addEventListener("input", () => {
+      Config.update({ [section]: { [key]: Number(el.value) } });
+    });
+  }
+  Config.onChange(({ sections }) => {
+    if (sections.includes(section)) show();
+  });
+  show();
+}
+
+/**
+ * The <audio> element routed through an analyser. Built lazily by ensure(); a context
+ * created before a user gesture starts suspended and is resumed on play.
+ *
+ *   audio -> analyser -> monitor (speakers) -> destination
+ *                     -> recordDest (MediaStream for recording)
+ *
+ * attach() feeds further elements into the analyser (the gapless standby deck).
+ */
+export class AudioGraph {
+  /**
+   * @param {HTMLAudioElement} audio
+   * @param {{fftSize?: number, smoothing?: number}} [opts] - Analyser settings.
+   */
+  constructor(audio, { fftSize = 2048, smoothing = 0.3 } = {}) {
+    this.audio = audio;
+    this.fftSize = fftSize;
+    this.smoothing = smoothing;
+    /** @type {AudioContext|null} */
+    this.ctx = null;
+    /** @type {AnalyserNode|null} */
+    this.analyser = null;
+    /** Speakers hang off a gain so live input can be analysed without loopback. */
+    /** @type {GainNode|null} */
+    this.monitor = null;
+    /** Tap for recording: the same signal the visuals see. */
+    /** @type {MediaStreamAudioDestinationNode|null} */
+    this.recordDest = null;
+  }
+
+  /**
+   * Build the graph (once).
+   * @returns {{ctx: AudioContext, analyser: AnalyserNode, monitor: GainNode, recordDest: MediaStreamAudioDestinationNode}}
+   */
+  ensure() {
+    if (!this.ctx) {
+      // @ts-ignore
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const src = ctx.createMediaElementSource(this.audio);
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = this.fftSize;
+      analyser.smoothingTimeConstant = this.smoothing;
+      const monitor = ctx.createGain();
+      src.connect(analyser).connect(monitor).connect(ctx.destination);
+      const recordDest = ctx.createMediaStreamDestination();
+      analyser.connect(recordDest);
+      Object.assign(this, { ctx, analyser, monitor, recordDest });
+    }
+    return /** @type {any} */ (this);
+  }
+
+  /**
+   * Route another media element into the analyser alongside the first one, e.g. the
+   * standby deck gapless playback starts when a track ends. Builds the graph if needed.
+   * @param {HTMLMediaElement} el
+   */
+  attach(el) {
+    const { ctx, analyser } = this.ensure();
+    ctx.createMediaElementSource(el).connect(analyser);
+  }
+
+  /** Resume a suspended context (call from a user gesture). */
+  async resume() {
+    const { ctx } = this.ensure();
+    if (ctx.state !== "suspended") return;
+    try {
+      await ctx.resume();
+    } catch {}
+  }
+
+  /** Suspend the context while paused, so an idle page costs no audio thread time. */
+  async suspend() {
+    if (this.ctx?.state !== "running") return;
+    try {
+      await this.ctx.suspend();
+    } catch {}
+  }
+}
+
+/**
+ * @typedef {Object} LiveInputControls
+ * @property {LiveInput} live
+ * @property {(id: string) => Promise<void>} select - deviceId, "default", or "" for the player.
+ */
+
+/**
+ * @description Wires #input to live input (mic / line-in): the chosen device feeds the
+ *   analyser with the speakers muted, and "" goes back to the player. #play is disabled
+ *   while live, #stat and the footer follow, and the device list is refreshed on
+ *   devicechange. Every element is optional.
+ * @param {AudioGraph} graph
+ * @param {{onLive?: () => void, onPlayer?: () => void}} [opts] - onLive runs once an input
+ *   is live (pause the player there); onPlayer after switching back to the player.
+ * @returns {LiveInputControls}
+ */
+export function installLiveInput(graph, { onLive, onPlayer } = {}) {
+  const stat = document.getElementById("stat");
+  const nowPlaying = /** @type {HTMLElement|null} */ (
+    document.querySelector(".footer .now-playing")
+  );
+  const playBtn = /** @type {HTMLButtonElement|null} */ (
+    document.getElementById("play")
+  );
+  const inputSel = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById("input")
+  );
+  const live = new LiveInput();
+  if (inputSel && !LiveInput.isSupported()) inputSel.disabled = true;
+
+  async function refreshInputDevices() {
+    if (!inputSel) return;
+    const devices = await LiveInput.listDevices();
+    while (inputSel.options.length > 1) inputSel.remove(1);
+    if (devices.some((d) => d.label)) {
+      for (const d of devices)
+        inputSel.add(new Option(d.label || "Audio input", d.deviceId));
+    } else {
+      // No labels before permission; offer the default device
+      inputSel.add(new Option("Live input (mic / line-in)", "default"));
+    }
+    inputSel.value = live.active ? live.deviceId : "";
+  }
+
+  /**
+   * @param {string} id deviceId, "default", or "" for the player
+   */
+  async function select(id) {
+    const { ctx, analyser, monitor } = graph.ensure();
+    if (!id) {
+      live.close();
+      monitor.gain.value = 1;
+      if (playBtn) playBtn.disabled = false;
+      if (inputSel) inputSel.value = "";
+      onPlayer?.();
+      if (stat) stat.textContent = "Player input";
+      return;
+    }
+    try {
+      const node = await live.open(ctx, id);
+      onLive?.();
+      node.connect(analyser);
+      monitor.gain.value = 0;
+      await graph.resume();
+      if (playBtn) playBtn.disabled = true;
+      setFooter(nowPlaying, `Live: ${live.label}`, "");
+      await refreshInputDevices();
+      if (stat) stat.textContent = "Live input";
+    } catch (e) {
+      console.error(e);
+      if (inputSel) inputSel.value = live.active ? live.deviceId : "";
+      if (stat)
+        stat.textContent = `Input unavailable: ${e instanceof Error ? e.message : e}`;
+    }
+  }
+  inputSel?.addEventListener("change", () => select(inputSel.value));
+  navigator.mediaDevices?.addEventListener?.("devicechange", () => {
+    refreshInputDevices().catch(() => {});
+  });
+
+  return { live, select };
+}
+
+/**
+ * @typedef {Object} PlayerControlOptions
+ * @property {HTMLElement} [stage] - Audio files dropped here are appended to the queue.
+ * @property {import("Playlist").RepeatMode} [repeat="off"] - Initial repeat mode of the queue.
+ * @property {(entry: import("Playlist").PlaylistEntry, audio: HTMLAudioElement) => void} [onLoad]
+ *   Runs whenever the player switches to another queue entry, with the element it plays on.
+ * @property {(files: File[]) => boolean} [onDrop] - Sees every stage drop before the
+ *   audio files are queued; return true when it used some of the files (a model, say).
+ */
+
+/**
+ * @typedef {Object} PlayerControls
+ * @property {Playlist} queue
+ * @property {() => Promise<void>} play - Resume the graph and start the current deck.
+ * @property {LiveInput} live
+ * @property {HTMLAudioElement} audio - The current deck: the page's element until the first
+ *   gapless advance, after which it alternates with a hidden standby element.
+ */
+
+/**
+ * @description Wires the basic control sheet to the player. Every element is optional:
+ *   #play, #input, #file and #file-label, #prev / #next / #shuffle / #repeat / #queuev,
+ *   #volume / #volumev, #palette, #stat and `.footer .now-playing`. Also applies data-volume
+ *   and data-autoplay. The file picker replaces the queue, drops append to it, and the queue
+ *   auto-advances gaplessly when a track ends. Live input (#input) feeds the analyser with
+ *   the speakers muted; loading a track switches back to the player.
+ * @param {HTMLAudioElement} audio
+ * @param {AudioGraph} graph
+ * @param {PlayerControlOptions} [opts]
+ * @returns {PlayerControls}
+ */
+export function installPlayerControls(
+  audio,
+  graph,
+  { stage, repeat = "off", onLoad, onDrop } = {}
+) {
+  const body = document.body;
+  const $ = (/** @type {string} */ id) => document.getElementById(id);
+  const stat = $("stat");
+  const nowPlaying = /** @type {HTMLElement|null} */ (
+    document.querySelector(".footer .now-playing")
+  );
+  const fileInput = /** @type {HTMLInputElement|null} */ ($("file"));
+  const fileLabel = $("file-label");
+  const playBtn = $("play");
+  const prevBtn = /** @type {HTMLButtonElement|null} */ ($("prev"));
+  const nextBtn = /** @type {HTMLButtonElement|null} */ ($("next"));
+  const shuffleBtn = $("shuffle");
+  const repeatBtn = $("repeat");
+  const queuev = $("queuev");
+  const volume = /** @type {HTMLInputElement|null} */ ($("volume"));
+  const volumev = $("volumev");
+  const paletteSel = /** @type {HTMLSelectElement|null} */ ($("palette"));
+
+  const explicitTitle = getData("title", audio, body);
+  const startVolume = parseVolume(getData("volume", audio, body));
+  const chosen = ensureDefaultTrack(audio, stat);
+  setFooter(nowPlaying, explicitTitle, chosen);
+  if (fileLabel) fileLabel.textContent = explicitTitle || filenameLabel(chosen) || "Default track";
+
+  // Play queue, seeded with the page's own track
+  const queue = new Playlist();
+  queue.repeat = repeat;
+  if (chosen)
+    queue.add([{ title: explicitTitle || filenameLabel(chosen), url: chosen }]);
+
+  // Gapless playback: a hidden standby deck on the same analyser is primed with the entry
+  // auto-advance moves to and started right as the current deck ends; then they trade
+  // places, so `deck` is whichever element is playing now.
+  let deck = audio;
+  let standby = new Audio();
+  standby.preload = "auto";
+  standby.crossOrigin = audio.crossOrigin ?? "anonymous";
+  graph.attach(standby);
+  const decks = [audio, standby];
+  /** How far ahead of the end (seconds) to schedule the switch; timeupdate fires ~4x a second. */
+  const HANDOFF_LEAD = 0.5;
+  /** Pending setTimeout() that starts the standby deck, or 0. */
+  let handoff = 0;
+
+  /** @param {boolean} on */
+  function setPlayingUI(on) {
+    if (playBtn) playBtn.textContent = on ? "⏸ Pause" : "▶︎ Play";
+    if (stat) stat.textContent = on ? "Playing" : "Paused";
+  }
+  function updateFooterFromAudio() {
+    setFooter(
+      nowPlaying,
+      queue.current?.title ?? explicitTitle,
+      deck.currentSrc || deck.src || chosen
+    );
+  }
+
+  async function play() {
+    await graph.resume();
+    deck.muted = false;
+    try {
+      await deck.play();
+    } catch {
+      if (stat) stat.textContent = "Tap the audio control";
+    }
+  }
+
+  /**
+   * @param {import("Playlist").PlaylistEntry} entry
+   */
+  function showEntry(entry) {
+    onLoad?.(entry, deck);
+    if (fileLabel) fileLabel.textContent = entry.title;
+    updateFooterFromAudio();
+  }
+
+  /**
+   * @param {import("Playlist").PlaylistEntry|null} entry
+   * @param {boolean} start start playback once loaded
+   */
+  async function loadEntry(entry, start) {
+    if (!entry) return;
+    if (live.active) await selectInput("");
+    cancelHandoff();
+    // A deck still playing out the previous track's tail stops here
+    standby.pause();
+    deck.src = entry.url;
+    primeNext();
+    showEntry(entry);
+    if (start) await play();
+    else if (stat) stat.textContent = `Loaded ${entry.title}`;
+  }
+
+  // Live input (mic / line-in); the decks pause, and switching back restores the footer
+  const { live, select: selectInput } = installLiveInput(graph, {
+    onLive: () => {
+      for (const el of decks) el.pause();
+    },
+    onPlayer: updateFooterFromAudio,
+  });
+
+  /** True when the standby deck holds what auto-advance moves to and can start at once. */
+  function primed() {
+    const next = queue.peekNext();
+    return (
+      !!next &&
+      next !== queue.current &&
+      standby.getAttribute("src") === next.url &&
+      standby.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA
+    );
+  }
+
+  /** Load the next entry into the standby deck, unless it is still playing out a tail. */
+  function primeNext() {
+    if (!standby.paused) return;
+    const next = queue.peekNext();
+    if (!next || next === queue.current) return;
+    if (standby.getAttribute("src") !== next.url) standby.src = next.url;
+    // Same track as last time (a two-entry queue): start it from the top
+    else if (standby.currentTime > 0) standby.currentTime = 0;
+  }
+
+  function cancelHandoff() {
+    clearTimeout(handoff);
+    handoff = 0;
+  }
+
+  /** Near the end of a track, time the standby deck's start to the current one's end. */
+  function scheduleHandoff() {
+    if (handoff || deck.paused || !primed()) return;
+    const left = (deck.duration - deck.currentTime) / (deck.playbackRate || 1);
+    if (!(left < HANDOFF_LEAD)) return;
+    handoff = window.setTimeout(advance, Math.max(0, left * 1000));
+  }
+
+  /**
+   * Start the primed standby deck and make it current. The old deck finishes its last
+   * moments on its own and is primed again once it ends.
+   * @returns {boolean} false when nothing usable was primed
+   */
+  function advance() {
+    handoff = 0;
+    if (!primed()) return false;
+    const next = /** @type {import("Playlist").PlaylistEntry} */ (queue.peekNext());
+    [deck, standby] = [standby, deck];
+    deck.play().catch(() => setPlayingUI(false));
+    // Reshuffling at the end of the queue may pick another entry; stay on the one playing
+    if (queue.next(true) !== next) queue.jump(queue.items.indexOf(next));
+    showEntry(next);
+    return true;
+  }
+
+  // Volume (kept equal on both decks)
+  for (const el of decks) el.volume = startVolume ?? 1;
+  function showVolume() {
+    if (volume) volume.value = String(deck.volume);
+    if (volumev) volumev.textContent = deck.volume.toFixed(2);
+  }
+  volume?.addEventListener("input", () => {
+    for (const el of decks) el.volume = Number(volume.value);
+  });
+  for (const el of decks)
+    el.addEventListener("volumechange", () => {
+      if (el === deck) showVolume();
+    });
+  showVolume();
+
+  // Queue controls
+  const REPEAT_UI = {
+    off: ["🔁", "Repeat: off"],
+    all: ["🔁", "Repeat: queue"],
+    one: ["🔂", "Repeat: track"],
+  };
+  function updateQueueUI() {
+    const n = queue.items.length;
+    if (queuev) queuev.textContent = n ? `${queue.position + 1}/${n}` : "0/0";
+    if (prevBtn) prevBtn.disabled = n < 2;
+    if (nextBtn) nextBtn.disabled = n < 2;
+    if (shuffleBtn) shuffleBtn.dataset.on = String(queue.shuffle);
+    if (repeatBtn) {
+      const [icon, title] = REPEAT_UI[queue.repeat];
+      repeatBtn.dataset.on = String(queue.repeat !== "off");
+      repeatBtn.dataset.mode = queue.repeat;
+      repeatBtn.textContent = icon;
+      repeatBtn.title = title;
+    }
+    primeNext();
+  }
+  queue.addEventListener("change", updateQueueUI);
+  updateQueueUI();
+
+  const isPlaying = () => !deck.paused && !deck.ended;
+  prevBtn?.addEventListener("click", () => {
+    // Like most players: a few seconds in, "previous" restarts the track
+    if (deck.currentTime > 3 || (queue.position === 0 && queue.repeat !== "all")) {
+      deck.currentTime = 0;
+      return;
+    }
+    loadEntry(queue.prev(), isPlaying());
+  });
+  nextBtn?.addEventListener("click", () => loadEntry(queue.next(), isPlaying()));
+  shuffleBtn?.addEventListener("click", () => queue.setShuffle(!queue.shuffle));
+  repeatBtn?.addEventListener("click", () => queue.cycleRepeat());
+
+  // File picker: the selection becomes the queue
+  fileInput?.addEventListener("change", async () => {
+    const files = Array.from(fileInput.files || []);
+    if (!files.length) return;
+    const playing = isPlaying();
+    queue.replace(files.map(Playlist.fromFile));
+    await loadEntry(queue.current, playing);
+    if (stat && files.length > 1) stat.textContent = `Queued ${files.length} tracks`;
+  });
+
+  // Drop audio files on the stage to append them to the queue; onDrop may take the rest
+  stage?.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    stage.dataset.drop = "true";
+  });
+  stage?.addEventListener("dragleave", () => {
+    stage.dataset.drop = "false";
+  });
+  stage?.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    stage.dataset.drop = "false";
+    const dropped = Array.from(e.dataTransfer?.files || []);
+    const used = onDrop?.(dropped) ?? false;
+    const files = dropped.filter(isAudioFile);
+    if (!files.length) {
+      if (stat && !used) stat.textContent = "No audio files dropped";
+      return;
+    }
+    const first = queue.add(files.map(Playlist.fromFile));
+    if (stat) stat.textContent = `Queued ${files.length} track${files.length > 1 ? "s" : ""}`;
+    // Nothing playing: start on what was just dropped (the drop counts as a gesture)
+    if (!isPlaying() || live.active) await loadEntry(queue.jump(first), true);
+  });
+
+  // Palette select
+  paletteSel?.addEventListener("change", () => {
+    Config.update({ theme: { palette: paletteSel.value, hue: 0 } });
+  });
+  Config.onChange(({ sections }) => {
+    const id = Config.get().theme.palette;
+    if (paletteSel && sections.includes("theme") && hasPalette(id))
+      paletteSel.value = id;
+  });
+
+  // Audio events: only the current deck drives the UI; the other one just reports
+  // that it finished its tail and is free to be primed
+  for (const el of decks) {
+    el.addEventListener("play", () => {
+      if (el !== deck) return;
+      setPlayingUI(true);
+      updateFooterFromAudio();
+    });
+    el.addEventListener("pause", () => {
+      if (el !== deck) return;
+      cancelHandoff();
+      setPlayingUI(false);
+    });
+    el.addEventListener("seeking", () => {
+      if (el === deck) cancelHandoff();
+    });
+    el.addEventListener("timeupdate", () => {
+      if (el === deck) scheduleHandoff();
+    });
+    el.addEventListener("ended", () => {
+      if (el !== deck) {
+        primeNext();
+        return;
+      }
+      // Usually the scheduled switch got here first; this covers a late timer
+      cancelHandoff();
+      if (advance()) return;
+      // Nothing primed (the next entry was still loading): switch the slow way
+      const prev = queue.current;
+      const next = queue.next(true);
+      if (!next) {
+        setPlayingUI(false);
+        return;
+      }
+      if (next === prev) {
+        deck.currentTime = 0;
+        deck.play().catch(() => setPlayingUI(false));
+        return;
+      }
+      loadEntry(next, true);
+    });
+    el.addEventListener("loadedmetadata", () => {
+      if (el === deck) updateFooterFromAudio();
+    });
+    el.addEventListener("error", () => {
+      if (el === deck && stat)
+        stat.textContent = "Audio error: check file or default track path.";
+    });
+  }
+
+  // Play button
+  playBtn?.addEventListener("click", async () => {
+    ensureDefaultTrack(deck, stat);
+    if (deck.paused || deck.ended) {
+      await play();
+    } else {
+      deck.pause();
+      await graph.suspend();
+    }
+  });
+
+  if (parseBool(getData("autoplay", audio, body) || "false")) {
+    play().catch(() => {});
+  }
+
+  return {
+    queue,
+    play,
+    live,
+    get audio() {
+      return deck;
+    },
+  };
+}
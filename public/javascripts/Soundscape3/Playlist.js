@@ -0,0 +1,177 @@
+// @ts-check
+
+/* ============================== Playlist ============================== */
+/**
+ * Play queue for the Soundscape3 player: ordered entries, shuffle, repeat and a
+ * "change" event for the UI. It only decides *what* plays next; the page owns
+ * the <audio> element. Blob URLs created for local files are revoked when their
+ * entries leave the queue.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/**
+ * @typedef {{title: string, url: string, owned?: boolean}} PlaylistEntry
+ * owned: url is an object URL this playlist created and must revoke
+ */
+
+/** @typedef {"off"|"all"|"one"} RepeatMode */
+
+const REPEAT_MODES = /** @type {RepeatMode[]} */ (["off", "all", "one"]);
+
+export class Playlist extends EventTarget {
+  constructor() {
+    super();
+    /** @type {PlaylistEntry[]} */
+    this.items = [];
+    /** Index into items of the current entry, -1 when empty. */
+    this.index = -1;
+    this.shuffle = false;
+    /** @type {RepeatMode} */
+    this.repeat = "off";
+    /** Play order as indices into items. */
+    /** @type {number[]} */
+    this.order = [];
+  }
+
+  /**
+   * Entry for a local file (object URL owned by the playlist).
+   * @param {File} file
+   * @returns {PlaylistEntry}
+   */
+  static fromFile(file) {
+    return { title: file.name.replace(/\.[a-zA-Z0-9]+$/, ""), url: URL.createObjectURL(file), owned: true };
+  }
+
+  /** @returns {PlaylistEntry|null} */
+  get current() {
+    return this.items[this.index] ?? null;
+  }
+
+  /** @returns {number} 0-based position of the current entry in play order, -1 when empty. */
+  get position() {
+    return this.order.indexOf(this.index);
+  }
+
+  /**
+   * Append entries; the first one becomes current if the queue was empty.
+   * @param {PlaylistEntry[]} entries
+   * @returns {number} index of the first appended entry
+   */
+  add(entries) {
+    const first = this.items.length;
+    this.items.push(...entries);
+    if (this.index < 0 && this.items.length) this.index = 0;
+    this.#reorder();
+    this.#changed();
+    return first;
+  }
+
+  /**
+   * Replace the whole queue; the first new entry becomes current.
+   * @param {PlaylistEntry[]} entries
+   */
+  replace(entries) {
+    for (const it of this.items) if (it.owned) URL.revokeObjectURL(it.url);
+    this.items = [...entries];
+    this.index = this.items.length ? 0 : -1;
+    this.#reorder();
+    this.#changed();
+  }
+
+  /**
+   * Make an entry current.
+   * @param {number} index
+   * @returns {PlaylistEntry|null}
+   */
+  jump(index) {
+    if (index < 0 || index >= this.items.length) return null;
+    this.index = index;
+    this.#changed();
+    return this.current;
+  }
+
+  /**
+   * Advance in play order.
+   * @param {boolean} [auto] true when called from `ended`: honours repeat "one"
+   * @returns {PlaylistEntry|null} the new current entry, or null at the end of the queue
+   */
+  next(auto = false) {
+    if (!this.items.length) return null;
+    if (auto && this.repeat === "one") return this.current;
+    let pos = this.position + 1;
+    if (pos >= this.order.length)
+    {
+      if (this.repeat !== "all") return null;
+      if (this.shuffle) this.#reorder(true);
+      pos = 0;
+    }
+    return this.jump(this.order[pos]);
+  }
+
+  /**
+   * Step back in play order (wraps only with repeat "all").
+   * @returns {PlaylistEntry|null}
+   */
+  prev() {
+    if (!this.items.length) return null;
+    let pos = this.position - 1;
+    if (pos < 0) pos = this.repeat === "all" ? this.order.length - 1 : 0;
+    return this.jump(this.order[pos]);
+  }
+
+  /**
+   * Entry that next(true) would move to, for preloading.
+   * @returns {PlaylistEntry|null}
+   */
+  peekNext() {
+    if (!this.items.length) return null;
+    if (this.repeat === "one") return this.current;
+    const pos = this.position + 1;
+    if (pos < this.order.length) return this.items[this.order[pos]];
+    return this.repeat === "all" ? this.items[this.order[0]] : null;
+  }
+
+  /** @param {boolean} on */
+  setShuffle(on) {
+    this.shuffle = on;
+    this.#reorder();
+    this.#changed();
+  }
+
+  /** @returns {RepeatMode} the new mode (off -> all -> one -> off) */
+  cycleRepeat() {
+    this.repeat = REPEAT_MODES[(REPEAT_MODES.indexOf(this.repeat) + 1) % REPEAT_MODES.length];
+    this.#changed();
+    return this.repeat;
+  }
+
+  /**
+   * Rebuild play order. Shuffled orders start at the current entry so it keeps playing.
+   * @param {boolean} [fresh] reshuffle everything, current entry included (new lap with repeat "all")
+   */
+  #reorder(fresh = false) {
+    const idx = this.items.map((_, i) => i);
+    if (!this.shuffle)
+    {
+      this.order = idx;
+      return;
+    }
+    for (let i = idx.length - 1; i > 0; i--)
+    {
+      const j = Math.floor(Math.random() * (i + 1));
+      [idx[i], idx[j]] = [idx[j], idx[i]];
+    }
+    if (!fresh && this.index >= 0)
+    {
+      idx.splice(idx.indexOf(this.index), 1);
+      idx.unshift(this.index);
+    }
+    this.order = idx;
+  }
+
+  #changed() {
+    this.dispatchEvent(new Event("change"));
+  }
+}
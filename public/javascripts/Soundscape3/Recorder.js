@@ -0,0 +1,102 @@
+// @ts-check
+
+/* ============================== Clip Recorder ============================== */
+/**
+ * Real-time clip capture: the stage canvas stream plus the audio graph output,
+ * muxed by MediaRecorder. What you see (drag spins, wheel hue changes, palette
+ * swaps) is what you get, at whatever frame rate the page is actually hitting.
+ * For frame-exact renders use OfflineRender instead.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Container/codec preference, first supported wins. */
+const MIME_CANDIDATES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4",
+];
+
+export class ClipRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to capture.
+   * @param {MediaStream} audioStream - Usually MediaStreamAudioDestinationNode.stream tapped after the analyser.
+   * @param {{fps?: number, videoBitsPerSecond?: number}} [opts]
+   */
+  constructor(canvas, audioStream, opts = {}) {
+    this.canvas = canvas;
+    this.audioStream = audioStream;
+    this.fps = opts.fps ?? 60;
+    this.videoBitsPerSecond = opts.videoBitsPerSecond ?? 12_000_000;
+    /** @type {MediaRecorder|null} */
+    this.recorder = null;
+    /** @type {Blob[]} */
+    this.chunks = [];
+    this.startedAt = 0;
+  }
+
+  /** @returns {boolean} */
+  static isSupported() {
+    return typeof MediaRecorder !== "undefined" && typeof HTMLCanvasElement.prototype.captureStream === "function";
+  }
+
+  /** @returns {string} First MIME type this browser can record, or "" to let it choose. */
+  static pickMimeType() {
+    return MIME_CANDIDATES.find((m) => MediaRecorder.isTypeSupported(m)) ?? "";
+  }
+
+  /** @returns {boolean} */
+  get recording() {
+    return this.recorder?.state === "recording";
+  }
+
+  /** @returns {number} Seconds since start(), 0 when idle. */
+  get elapsed() {
+    return this.recording ? (performance.now() - this.startedAt) / 1000 : 0;
+  }
+
+  /** @returns {void} */
+  start() {
+    if (this.recording) return;
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(this.fps).getVideoTracks(),
+      ...this.audioStream.getAudioTracks(),
+    ]);
+    const mimeType = ClipRecorder.pickMimeType();
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+    this.recorder.ondataavailable = (e) => { if (e.data.size) this.chunks.push(e.data); };
+    this.recorder.start(1000);
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * Stop and collect the clip.
+   * @returns {Promise<Blob>}
+   */
+  stop() {
+    const rec = this.recorder;
+    if (!rec || rec.state === "inactive") return Promise.reject(new Error("Not recording"));
+    return new Promise((resolve) => {
+      rec.onstop = () => {
+        // The canvas track is ours; the audio tracks belong to the graph and stay live
+        rec.stream.getVideoTracks().forEach((t) => t.stop());
+        resolve(new Blob(this.chunks, { type: rec.mimeType || "video/webm" }));
+        this.chunks = [];
+        this.recorder = null;
+      };
+      rec.stop();
+    });
+  }
+}
+
+/**
+ * File extension matching a recorded Blob's MIME type.
+ * @param {string} mime
+ * @returns {string}
+ */
+export function clipExtension(mime) {
+  return mime.startsWith("video/mp4") ? "mp4" : "webm";
+}
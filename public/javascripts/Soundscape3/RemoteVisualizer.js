@@ -0,0 +1,314 @@
+// @ts-check
+
+/* ============================== Remote Visualizer ============================== */
+/**
+ * Main-thread proxy for a Visualizer running in a worker (RenderWorker.js) on the
+ * stage canvas's OffscreenCanvas. It exposes the part of the Visualizer surface the
+ * page, Morph.js and the modulation editor use, so either can be passed around:
+ *
+ *   const viz = RemoteVisualizer.isSupported()
+ *     ? new RemoteVisualizer(canvas, analyser, { layers })
+ *     : new Visualizer(canvas, analyser, { layers });
+ *
+ * The audio graph stays here; frame() reads the analyser and posts the spectrum and
+ * waveform to the worker. Those buffers travel back and forth by transfer, and while
+ * the worker still holds them frame() skips, so a busy worker drops frames instead of
+ * queueing them. Config changes are forwarded as section patches.
+ *
+ * Workers do not see the page's import map, so the worker is started from a small
+ * bootstrap that loads the wasm build of es-module-shims and hands it the page's map.
+ *
+ * What stays main-thread only: OfflineRender (it drives Visualizer.frame() itself) and
+ * direct access to the scene.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+import * as THREE from "three";
+import { Config } from "Config";
+import { MOD_TARGETS } from "Visualizer";
+import { MAX_SHAPES } from "Shapes";
+import { applyBackground, listPalettes, palette, paletteSpec } from "Utility";
+
+/**
+ * @typedef {Object} AnalyserShape
+ * @property {number} bins - frequencyBinCount
+ * @property {number} fftSize
+ * @property {number} sampleRate
+ * @property {number} minDecibels
+ * @property {number} maxDecibels
+ */
+
+/**
+ * Messages to the worker.
+ * @typedef {{type:"init", canvas:OffscreenCanvas, size:{width:number, height:number}, analyser:AnalyserShape,
+ *     config:object, palettes:Array<[string, import("Utility").PaletteSpec]>, layers?:import("Layers").LayerSpec[]}
+ *   | {type:"frame", t:number, spec:Uint8Array, wave:Float32Array, trackTime:number, gyro:{on:boolean, roll:number, pitch:number}}
+ *   | {type:"resize", size:{width:number, height:number}}
+ *   | {type:"config", patch:import("Config").ConfigPatch}
+ *   | {type:"spin", dx:number, dy:number}
+ *   | {type:"shape", slot:number, target:Float32Array}
+ *   | {type:"analysis", analysis:object|null}
+ *   | {type:"beatReset"}
+ *   | {type:"dispose"}} ToWorker
+ */
+
+/**
+ * Messages from the worker.
+ * @typedef {{type:"loaded"}
+ *   | {type:"ready", modTargets:string[]}
+ *   | {type:"drawn", spec:Uint8Array, wave:Float32Array}
+ *   | {type:"error", message:string}} FromWorker
+ */
+
+/** es-module-shims build that runs in workers (the default build needs a DOM). */
+const SHIM_URL = "/javascripts/es-module-shims.wasm.js";
+
+/**
+ * Blob URL of a classic worker that installs the page's import map and imports `entry`.
+ * @param {string} entry - Absolute URL of the worker module.
+ * @returns {string}
+ */
+function workerBootstrapURL(entry) {
+  const shim = /** @type {any} */ (globalThis).importShim;
+  const src = [
+    `importScripts(${JSON.stringify(new URL(SHIM_URL, location.href).href)});`,
+    `importShim.addImportMap(${JSON.stringify(shim.getImportMap())});`,
+    `importShim(${JSON.stringify(entry)}).catch((e) => setTimeout(() => { throw e; }));`,
+  ].join("\n");
+  return URL.createObjectURL(new Blob([src], { type: "application/javascript" }));
+}
+
+export class RemoteVisualizer {
+  /**
+   * OffscreenCanvas + module-capable workers, and the page loaded es-module-shims.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof Worker !== "undefined" &&
+      typeof OffscreenCanvas !== "undefined" &&
+      "transferControlToOffscreen" in HTMLCanvasElement.prototype &&
+      typeof (/** @type {any} */ (globalThis).importShim?.getImportMap) === "function"
+    );
+  }
+
+  /**
+   * Takes over the canvas for good: after transferControlToOffscreen() the page can no
+   * longer get a context on it, so there is no falling back to a local Visualizer.
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   * @param {{layers?: import("Layers").LayerSpec[]}} [opts] - Layer stack; only types the worker
+   *   registers (the built-ins) are available.
+   */
+  constructor(canvas, analyser, opts = {}) {
+    this.canvas = canvas;
+    this.analyser = analyser;
+    /** Same fields as Visualizer.gyro; sent with every frame. */
+    this.gyro = { on: false, roll: 0, pitch: 0 };
+    /** The bit of Visualizer.beat the page calls. */
+    this.beat = { reset: () => this.#post({ type: "beatReset" }) };
+    /** @type {import("Analysis").TrackAnalysis|null} */
+    this.analysis = null;
+    /** @type {(() => number)|null} */
+    this._trackClock = null;
+    /** Known before the worker is up; the targets of the actual layer stack arrive with "ready". */
+    this._modTargets = [...MOD_TARGETS];
+    /** @type {Uint8Array|null} null while the worker holds it */
+    this._spec = new Uint8Array(analyser.frequencyBinCount);
+    /** @type {Float32Array|null} */
+    this._wave = new Float32Array(analyser.fftSize);
+    /** @type {THREE.BufferGeometry|null} */
+    this._base = null;
+    this._running = false;
+    /** @type {Array<[ToWorker, Transferable[]]>|null} Held until the worker module can receive them */
+    this._pending = [];
+
+    const offscreen = canvas.transferControlToOffscreen();
+    const boot = workerBootstrapURL(new URL("./RenderWorker.js", import.meta.url).href);
+    this.worker = new Worker(boot);
+
+    /** Resolves once the worker has built its Visualizer. */
+    this.ready = new Promise((resolve, reject) => {
+      this.worker.addEventListener("error", (e) => {
+        if (!this._running) reject(new Error(e.message || "Render worker failed to start"));
+      });
+      this.worker.addEventListener("message", (e) => {
+        const msg = /** @type {FromWorker} */ (e.data);
+        switch (msg.type) {
+          case "loaded":
+            URL.revokeObjectURL(boot);
+            this.worker.postMessage(
+              {
+                type: "init",
+                canvas: offscreen,
+                size: this.#size(),
+                analyser: {
+                  bins: analyser.frequencyBinCount,
+                  fftSize: analyser.fftSize,
+                  sampleRate: analyser.context.sampleRate,
+                  minDecibels: analyser.minDecibels,
+                  maxDecibels: analyser.maxDecibels,
+                },
+                config: Config.serialize({ compact: false }),
+                palettes: listPalettes().map(({ id }) => [id, /** @type {import("Utility").PaletteSpec} */ (paletteSpec(id))]),
+                layers: opts.layers,
+              },
+              [offscreen]
+            );
+            for (const [m, transfer] of this._pending ?? []) this.worker.postMessage(m, transfer);
+            this._pending = null;
+            break;
+          case "ready":
+            this._modTargets = msg.modTargets;
+            this._running = true;
+            resolve(this);
+            break;
+          case "drawn":
+            this._spec = msg.spec;
+            this._wave = msg.wave;
+            break;
+          case "error":
+            if (this._running) console.error("Render worker:", msg.message);
+            else reject(new Error(msg.message));
+            break;
+        }
+      });
+    });
+
+    // The worker has no layout or DOM: sizes and the page backdrop are handled here
+    this.resizeObserver = new ResizeObserver(() => this.#post({ type: "resize", size: this.#size() }));
+    this.resizeObserver.observe(canvas.parentElement || document.body);
+    applyBackground(palette(Config.get().theme.palette));
+    this._offConfig = Config.onChange(({ sections }) => {
+      const all = /** @type {Record<string, any>} */ (Config.serialize({ compact: false }));
+      /** @type {Record<string, any>} */
+      const patch = {};
+      for (const key of new Set(sections)) if (key in all) patch[key] = all[key];
+      this.#post({ type: "config", patch });
+      if (sections.includes("theme")) applyBackground(palette(Config.get().theme.palette));
+    });
+  }
+
+  /** Mesh subdivision the worker is rendering. */
+  get subdiv() {
+    return Config.get().mesh.subdiv;
+  }
+
+  /** Band names (see Visualizer.bandDefs); the worker validates the same Config list. */
+  get bandDefs() {
+    return Config.get().bands.list.filter((b) => b && typeof b.name === "string");
+  }
+
+  /** @returns {string[]} See Visualizer.modTargets(). */
+  modTargets() {
+    return this._modTargets;
+  }
+
+  /**
+   * Read the analyser and render a frame in the worker, unless it is still busy with the last one.
+   * @param {number} t_ms
+   */
+  frame(t_ms) {
+    if (!this._running || !this._spec || !this._wave) return;
+    const spec = this._spec, wave = this._wave;
+    this._spec = this._wave = null;
+    this.analyser.getByteFrequencyData(spec);
+    this.analyser.getFloatTimeDomainData(wave);
+    this.#post(
+      { type: "frame", t: t_ms, spec, wave, trackTime: this._trackClock?.() ?? NaN, gyro: { ...this.gyro } },
+      [spec.buffer, wave.buffer]
+    );
+  }
+
+  /**
+   * @param {number} dx
+   * @param {number} dy
+   * @see Visualizer.nudgeSpin
+   */
+  nudgeSpin(dx, dy) {
+    this.#post({ type: "spin", dx, dy });
+  }
+
+  /**
+   * Local copy of the worker's base geometry, for baking morph targets on this thread.
+   * @returns {THREE.BufferGeometry}
+   */
+  morphBase() {
+    const detail = this.subdiv;
+    if (this._base?.parameters.detail !== detail) {
+      this._base?.dispose();
+      this._base = new THREE.IcosahedronGeometry(1, detail);
+    }
+    return this._base;
+  }
+
+  /**
+   * @param {Float32Array|number[]} targetArray
+   * @see Visualizer.applyMorphTargetArray
+   */
+  applyMorphTargetArray(targetArray) {
+    this.setShape(0, targetArray);
+  }
+
+  /**
+   * Copies the array to the worker (callers may keep it, e.g. cached).
+   * @param {number} slot
+   * @param {Float32Array|number[]} targetArray
+   * @see Visualizer.setShape
+   */
+  setShape(slot, targetArray) {
+    if (!(slot >= 0 && slot < MAX_SHAPES)) throw new RangeError(`Shape slot ${slot} out of range`);
+    this.#post({ type: "shape", slot, target: Float32Array.from(targetArray) });
+  }
+
+  /** @param {import("Analysis").TrackAnalysis|null} analysis */
+  setAnalysis(analysis) {
+    this.analysis = analysis;
+    this.#post({ type: "analysis", analysis: analysis ? analysis.toJSON() : null });
+  }
+
+  /**
+   * @param {(() => number)|null} clock - Sampled here every frame and sent along.
+   * @returns {(() => number)|null} The previous clock.
+   */
+  setTrackClock(clock) {
+    const prev = this._trackClock;
+    this._trackClock = clock;
+    return prev;
+  }
+
+  /** @returns {import("Analysis").Section|null} */
+  currentSection() {
+    const t = this._trackClock?.() ?? NaN;
+    return this.analysis && Number.isFinite(t) ? this.analysis.sectionAt(t) : null;
+  }
+
+  dispose() {
+    this._running = false;
+    this._offConfig();
+    this.resizeObserver.disconnect();
+    this._base?.dispose();
+    this.#post({ type: "dispose" });
+  }
+
+  /** Drawing-buffer size of the canvas, as Visualizer.resize() would pick it. */
+  #size() {
+    const rect = this.canvas.getBoundingClientRect();
+    const dpr = Math.min(2, window.devicePixelRatio || 1);
+    return {
+      width: Math.max(2, Math.floor(rect.width * dpr)),
+      height: Math.max(2, Math.floor(rect.height * dpr)),
+    };
+  }
+
+  /**
+   * @param {ToWorker} msg
+   * @param {Transferable[]} [transfer]
+   */
+  #post(msg, transfer = []) {
+    if (this._pending) this._pending.push([msg, transfer]);
+    else this.worker.postMessage(msg, transfer);
+  }
+}
@@ -0,0 +1,141 @@
+// @ts-check
+
+/* ============================== Render Worker ============================== */
+/**
+ * Worker half of RemoteVisualizer: runs a Visualizer on a transferred OffscreenCanvas,
+ * so UI work, file loading and the morph bake on the main thread never stall a frame.
+ *
+ * The page keeps the audio graph. Every frame it posts the analyser's byte spectrum and
+ * time-domain window, and FrameAnalyser replays them to the Visualizer as if it were the
+ * AnalyserNode. Config changes arrive as section patches and go through Config.update(),
+ * so the Visualizer applies them exactly as it does on the main thread.
+ *
+ * Started by RemoteVisualizer through the es-module-shims worker bootstrap, which is
+ * what makes the page's import map resolve in here. Message shapes are documented there.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+import { Config } from "Config";
+import { Visualizer } from "Visualizer";
+import { TrackAnalysis } from "Analysis";
+import { registerPalette } from "Utility";
+
+/** @typedef {import("RemoteVisualizer").ToWorker} ToWorker */
+/** @typedef {import("RemoteVisualizer").AnalyserShape} AnalyserShape */
+
+/**
+ * AnalyserNode stand-in fed from the frames the page posts. Holds onto the posted
+ * arrays, so read it before handing them back.
+ */
+class FrameAnalyser {
+  /** @param {AnalyserShape} shape */
+  constructor(shape) {
+    this.fftSize = shape.fftSize;
+    this.minDecibels = shape.minDecibels;
+    this.maxDecibels = shape.maxDecibels;
+    this.context = { sampleRate: shape.sampleRate };
+    this.spec = new Uint8Array(shape.bins);
+    this.wave = new Float32Array(shape.fftSize);
+  }
+
+  get frequencyBinCount() {
+    return this.spec.length;
+  }
+
+  /** @param {Uint8Array} dst */
+  getByteFrequencyData(dst) {
+    dst.set(this.spec.subarray(0, dst.length));
+  }
+
+  /** @param {Float32Array} dst */
+  getFloatTimeDomainData(dst) {
+    dst.set(this.wave.subarray(0, dst.length));
+  }
+}
+
+/** @type {Visualizer|null} */
+let viz = null;
+/** @type {FrameAnalyser|null} */
+let input = null;
+/** Playback position of the last frame, for the look-ahead (NaN = no track clock). */
+let trackTime = NaN;
+
+/**
+ * @param {any} msg
+ * @param {Transferable[]} [transfer]
+ */
+function reply(msg, transfer = []) {
+  self.postMessage(msg, { transfer });
+}
+
+/** @param {ToWorker} msg */
+function handle(msg) {
+  if (msg.type === "init")
+  {
+    for (const [id, spec] of msg.palettes) registerPalette(id, spec);
+    Config.deserialize(msg.config);
+    input = new FrameAnalyser(msg.analyser);
+    viz = new Visualizer(/** @type {any} */ (msg.canvas), /** @type {any} */ (input), { layers: msg.layers });
+    viz.setFixedSize(msg.size);
+    viz.setTrackClock(() => trackTime);
+    reply({ type: "ready", modTargets: viz.modTargets() });
+    return;
+  }
+  if (!viz || !input) return;
+  switch (msg.type)
+  {
+    case "frame":
+      input.spec = msg.spec;
+      input.wave = msg.wave;
+      trackTime = msg.trackTime;
+      Object.assign(viz.gyro, msg.gyro);
+      try
+      {
+        viz.frame(msg.t);
+      } finally
+      {
+        // Hand the buffers back; the page reuses them and only posts again once it has them
+        reply({ type: "drawn", spec: msg.spec, wave: msg.wave }, [msg.spec.buffer, msg.wave.buffer]);
+      }
+      break;
+    case "resize":
+      viz.setFixedSize(msg.size);
+      break;
+    case "config":
+      Config.update(msg.patch);
+      break;
+    case "spin":
+      viz.nudgeSpin(msg.dx, msg.dy);
+      break;
+    case "shape":
+      viz.setShape(msg.slot, msg.target);
+      break;
+    case "analysis":
+      viz.setAnalysis(msg.analysis ? TrackAnalysis.fromJSON(msg.analysis) : null);
+      break;
+    case "beatReset":
+      viz.beat.reset();
+      break;
+    case "dispose":
+      viz.dispose();
+      viz = null;
+      self.close();
+      break;
+  }
+}
+
+self.addEventListener("message", (e) => {
+  try
+  {
+    handle(/** @type {ToWorker} */ (e.data));
+  } catch (err)
+  {
+    console.error(err);
+    reply({ type: "error", message: err instanceof Error ? err.message : String(err) });
+  }
+});
+
+// Messages sent before this module finished loading would have had no listener
+reply({ type: "loaded" });
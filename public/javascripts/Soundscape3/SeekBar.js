@@ -0,0 +1,189 @@
+// @ts-check
+
+/* ============================== Seek Bar ============================== */
+/**
+ * Click/drag seek bar for an <audio> element, drawn on a canvas. With a track
+ * analysis (Analysis.js) it shows the waveform and a strip colored by section, so
+ * upcoming drops are visible; without one it is a plain progress bar.
+ *
+ * The static layers are drawn once per analysis/size; draw() only redraws when the
+ * playhead moved a pixel, so it is cheap to call every animation frame.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** @typedef {import("Analysis").TrackAnalysis} TrackAnalysis */
+
+/** Strip color per section kind. */
+export const SECTION_COLORS = Object.freeze({
+  intro: "#5a5a72",
+  buildup: "#ffb020",
+  drop: "#ff3d6e",
+  breakdown: "#3d9bff",
+  groove: "#8a8aa6",
+  outro: "#5a5a72",
+});
+
+/** Height of the section strip, in CSS pixels. */
+const STRIP = 4;
+
+/**
+ * @param {number} s seconds
+ * @returns {string} m:ss
+ */
+function clock(s) {
+  const t = Math.max(0, Math.floor(s));
+  return `${Math.floor(t / 60)}:${String(t % 60).padStart(2, "0")}`;
+}
+
+export class SeekBar {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {HTMLAudioElement} audio
+   */
+  constructor(canvas, audio) {
+    this.canvas = canvas;
+    this.audio = audio;
+    /** @type {TrackAnalysis|null} */
+    this.analysis = null;
+    this.ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext("2d"));
+    /** Unplayed and played renderings of the static layers. */
+    this._dim = document.createElement("canvas");
+    this._lit = document.createElement("canvas");
+    this._drawnX = -1;
+    this._dragging = false;
+
+    this._ro = new ResizeObserver(() => this.#layout());
+    this._ro.observe(canvas);
+
+    /** @param {PointerEvent} e */
+    const seek = (e) => {
+      const d = this.audio.duration;
+      if (!Number.isFinite(d) || d <= 0) return;
+      const r = this.canvas.getBoundingClientRect();
+      this.audio.currentTime = Math.max(0, Math.min(1, (e.clientX - r.left) / r.width)) * d;
+      this._drawnX = -1;
+    };
+    /** @param {PointerEvent} e */
+    this._onDown = (e) => {
+      this._dragging = true;
+      canvas.setPointerCapture(e.pointerId);
+      seek(e);
+    };
+    /** @param {PointerEvent} e */
+    this._onMove = (e) => {
+      if (this._dragging) seek(e);
+      this.#hover(e);
+    };
+    /** @param {PointerEvent} e */
+    this._onUp = (e) => {
+      this._dragging = false;
+      if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    };
+    canvas.addEventListener("pointerdown", this._onDown);
+    canvas.addEventListener("pointermove", this._onMove);
+    canvas.addEventListener("pointerup", this._onUp);
+    canvas.addEventListener("pointercancel", this._onUp);
+    this.#layout();
+  }
+
+  /**
+   * Show a track's waveform and sections, or null for the plain bar.
+   * @param {TrackAnalysis|null} analysis
+   */
+  setAnalysis(analysis) {
+    this.analysis = analysis;
+    this.#paint();
+  }
+
+  /** Redraw the playhead if it moved. */
+  draw() {
+    const { width: w, height: h } = this.canvas;
+    const d = this.audio.duration;
+    const frac = Number.isFinite(d) && d > 0 ? Math.min(1, this.audio.currentTime / d) : 0;
+    const x = Math.round(frac * w);
+    if (x === this._drawnX) return;
+    this._drawnX = x;
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(this._dim, 0, 0);
+    if (x > 0) ctx.drawImage(this._lit, 0, 0, x, h, 0, 0, x, h);
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(Math.min(x, w - 1), 0, 1, h);
+  }
+
+  dispose() {
+    this._ro.disconnect();
+    this.canvas.removeEventListener("pointerdown", this._onDown);
+    this.canvas.removeEventListener("pointermove", this._onMove);
+    this.canvas.removeEventListener("pointerup", this._onUp);
+    this.canvas.removeEventListener("pointercancel", this._onUp);
+  }
+
+  #layout() {
+    const dpr = Math.min(2, window.devicePixelRatio || 1);
+    const w = Math.max(1, Math.round(this.canvas.clientWidth * dpr));
+    const h = Math.max(1, Math.round(this.canvas.clientHeight * dpr));
+    for (const c of [this.canvas, this._dim, this._lit])
+    {
+      c.width = w;
+      c.height = h;
+    }
+    this.#paint();
+  }
+
+  /** Render the static layers: waveform (or a flat track) plus the section strip. */
+  #paint() {
+    const { width: w, height: h } = this.canvas;
+    const strip = Math.round(STRIP * (w / Math.max(1, this.canvas.clientWidth)));
+    const a = this.analysis;
+    for (const [c, wave, alpha] of /** @type {const} */ ([[this._dim, "rgba(230,230,240,0.28)", 0.45], [this._lit, "rgba(230,230,240,0.85)", 1]]))
+    {
+      const ctx = /** @type {CanvasRenderingContext2D} */ (c.getContext("2d"));
+      ctx.clearRect(0, 0, w, h);
+      ctx.fillStyle = wave;
+      const waveH = h - strip - 1;
+      if (a)
+      {
+        const mid = waveH / 2;
+        for (let x = 0; x < w; x++)
+        {
+          const p = a.peaks[Math.min(a.peaks.length - 1, Math.floor((x / w) * a.peaks.length))];
+          const half = Math.max(0.5, p * mid);
+          ctx.fillRect(x, mid - half, 1, half * 2);
+        }
+        ctx.globalAlpha = alpha;
+        for (const s of a.sections)
+        {
+          ctx.fillStyle = SECTION_COLORS[s.kind] ?? SECTION_COLORS.groove;
+          const x0 = Math.round((s.start / a.duration) * w), x1 = Math.round((s.end / a.duration) * w);
+          ctx.fillRect(x0, h - strip, Math.max(1, x1 - x0 - 1), strip);
+        }
+        ctx.globalAlpha = 1;
+      } else
+      {
+        ctx.fillRect(0, h - strip, w, strip);
+      }
+    }
+    this._drawnX = -1;
+    this.draw();
+  }
+
+  /**
+   * Tooltip: time (and section) under the pointer.
+   * @param {PointerEvent} e
+   */
+  #hover(e) {
+    const d = this.audio.duration;
+    if (!Number.isFinite(d) || d <= 0)
+    {
+      this.canvas.title = "";
+      return;
+    }
+    const r = this.canvas.getBoundingClientRect();
+    const t = Math.max(0, Math.min(1, (e.clientX - r.left) / r.width)) * d;
+    const s = this.analysis?.sectionAt(t);
+    this.canvas.title = s ? `${clock(t)} · ${s.kind}` : clock(t);
+  }
+}
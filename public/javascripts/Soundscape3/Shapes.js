@@ -0,0 +1,184 @@
+// @ts-check
+
+/* ============================== Shapes ============================== */
+/**
+ * Shape vocabulary for the morph: the mesh carries up to MAX_SHAPES morph targets
+ * (shader attributes target, target1..3) and blends between them with one weight each.
+ *
+ * Config.shapes.list names the shapes of a page: STL URLs (baked by Morph.js) or the
+ * procedural names in PROCEDURAL_SHAPES (built here, no bake needed). An empty list
+ * means the page's data-stl alone, which is how every page looked before.
+ *
+ * ShapeMixer picks which shape the morph heads for, per Config.shapes.mode:
+ *   "crossfade"  Config.shapes.position (0 .. count-1, fractional blends neighbours;
+ *                the UI crossfader and the "shapes.position" modulation target drive it)
+ *   "beat"       next shape every Config.shapes.beats beats
+ *   "section"    next shape every analysed section, the last one saved for drops;
+ *                without a pre-analysis it holds the crossfader position
+ * and eases the weights there over Config.shapes.fade seconds.
+ *
+ * No imports, like MorphBVH.js, so it also runs in the render worker and under Node.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Morph target slots on the mesh; bounded by the vertex attributes the shader declares. */
+export const MAX_SHAPES = 4;
+
+/** Shapes built from a formula rather than an STL. */
+export const PROCEDURAL_SHAPES = Object.freeze(["torus", "cube", "star"]);
+
+/** @typedef {"crossfade"|"beat"|"section"} ShapeMode */
+
+/** Values Config.shapes.mode accepts. */
+export const SHAPE_MODES = Object.freeze(/** @type {ShapeMode[]} */ (["crossfade", "beat", "section"]));
+
+/**
+ * @param {string} entry - A Config.shapes.list entry.
+ * @returns {boolean}
+ */
+export function isProceduralShape(entry) {
+  return PROCEDURAL_SHAPES.includes(entry);
+}
+
+/**
+ * Shapes a page actually loads: the configured list capped at MAX_SHAPES, or the
+ * fallback STL when the list is empty.
+ * @param {string[]} list - Config.shapes.list
+ * @param {string} fallback - The page's data-stl.
+ * @returns {string[]}
+ */
+export function resolveShapeList(list, fallback) {
+  const entries = list.filter((s) => typeof s === "string" && s);
+  if (entries.length > MAX_SHAPES) console.warn(`Shapes: only the first ${MAX_SHAPES} of ${entries.length} are used`);
+  return entries.length ? entries.slice(0, MAX_SHAPES) : [fallback];
+}
+
+// Stellation directions of the default mesh, reused as the star's points
+const PHI = (1 + Math.sqrt(5)) / 2;
+const STAR_DIRS = [
+  [0, 1, PHI], [0, -1, PHI], [0, 1, -PHI], [0, -1, -PHI],
+  [1, PHI, 0], [-1, PHI, 0], [1, -PHI, 0], [-1, -PHI, 0],
+  [PHI, 0, 1], [-PHI, 0, 1], [PHI, 0, -1], [-PHI, 0, -1],
+].map((v) => v.map((c) => c / Math.hypot(...v)));
+
+/** Torus radii; the outer equator sits on the unit sphere like a normalized STL. */
+const TORUS_R = 0.7, TORUS_TUBE = 0.3;
+
+/**
+ * Morph target for a procedural shape, in the same layout as a baked STL target.
+ * The cube and star are radial (each vertex keeps its direction); the torus maps
+ * latitude onto the tube angle, so the poles fold into the inner ring.
+ * @param {string} name - One of PROCEDURAL_SHAPES.
+ * @param {ArrayLike<number>} base - Base mesh positions (xyz triples).
+ * @returns {Float32Array}
+ */
+export function bakeProcedural(name, base) {
+  if (!isProceduralShape(name)) throw new RangeError(`Unknown procedural shape "${name}"`);
+  const out = new Float32Array(base.length);
+  for (let i = 0; i < base.length; i += 3)
+  {
+    const len = Math.hypot(base[i], base[i + 1], base[i + 2]) || 1;
+    const x = base[i] / len, y = base[i + 1] / len, z = base[i + 2] / len;
+    if (name === "torus")
+    {
+      const phi = Math.atan2(z, x);
+      const v = 2 * Math.asin(Math.max(-1, Math.min(1, y)));
+      const ring = TORUS_R + TORUS_TUBE * Math.cos(v);
+      out[i] = ring * Math.cos(phi);
+      out[i + 1] = TORUS_TUBE * Math.sin(v);
+      out[i + 2] = ring * Math.sin(phi);
+      continue;
+    }
+    let r;
+    if (name === "cube")
+    {
+      // Corners on the unit sphere
+      r = 1 / Math.sqrt(3) / Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
+    } else
+    {
+      let d = 0;
+      for (const [sx, sy, sz] of STAR_DIRS) d = Math.max(d, x * sx + y * sy + z * sz);
+      r = 0.42 + 0.58 * d ** 12;
+    }
+    out[i] = x * r;
+    out[i + 1] = y * r;
+    out[i + 2] = z * r;
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} ShapeContext
+ * @property {number} beats - Beats counted so far (BeatTracker.count).
+ * @property {number} section - Index of the current analysed section, or -1 without one.
+ * @property {boolean} drop - Whether that section is a drop.
+ * @property {number} position - Crossfader position, modulation included.
+ */
+
+export class ShapeMixer {
+  constructor() {
+    /** Current weight per slot; always sums to 1 over the loaded shapes. */
+    this.weights = new Float32Array(MAX_SHAPES);
+    this.weights[0] = 1;
+    /** @type {Float32Array} Where the weights are heading. */
+    this._goal = new Float32Array(MAX_SHAPES);
+  }
+
+  /** Back to the first shape, e.g. before an offline render. */
+  reset() {
+    this.weights.fill(0);
+    this.weights[0] = 1;
+  }
+
+  /**
+   * Shape the mixer heads for: a fractional index into the loaded shapes.
+   * @param {ShapeMode} mode
+   * @param {number} count - Loaded shapes (1..MAX_SHAPES).
+   * @param {number} every - Config.shapes.beats
+   * @param {ShapeContext} ctx
+   * @returns {number}
+   */
+  pick(mode, count, every, ctx) {
+    if (count <= 1) return 0;
+    if (mode === "beat") return Math.floor(ctx.beats / Math.max(1, every)) % count;
+    if (mode === "section" && ctx.section >= 0)
+    {
+      // Drops get the last shape to themselves; everything else cycles through the rest
+      if (ctx.drop) return count - 1;
+      return ctx.section % (count - 1);
+    }
+    return Math.max(0, Math.min(count - 1, ctx.position));
+  }
+
+  /**
+   * Advance the blend by one frame.
+   * @param {{mode: ShapeMode, fade: number, beats: number}} cfg - Config.shapes
+   * @param {number} count - Loaded shapes (1..MAX_SHAPES).
+   * @param {number} dt - Seconds since the last frame.
+   * @param {ShapeContext} ctx
+   * @returns {Float32Array} The weights, one per slot.
+   */
+  update(cfg, count, dt, ctx) {
+    const n = Math.max(1, Math.min(MAX_SHAPES, count | 0));
+    const at = this.pick(cfg.mode, n, cfg.beats, ctx);
+    const lo = Math.floor(at), f = at - lo;
+    this._goal.fill(0);
+    this._goal[lo] = 1 - f;
+    if (f > 0) this._goal[Math.min(n - 1, lo + 1)] += f;
+
+    // Linear travel: a full swap takes `fade` seconds whatever the distance
+    const step = cfg.fade > 0 ? dt / cfg.fade : 1;
+    let sum = 0;
+    for (let i = 0; i < MAX_SHAPES; i++)
+    {
+      const d = this._goal[i] - this.weights[i];
+      this.weights[i] += Math.max(-step, Math.min(step, d));
+      sum += this.weights[i];
+    }
+    if (sum > 0) for (let i = 0; i < MAX_SHAPES; i++) this.weights[i] /= sum;
+    else this.reset();
+    return this.weights;
+  }
+}
@@ -0,0 +1,159 @@
+// @ts-check
+import * as THREE from "three";
+import { Config } from "Config";
+import { Layer, registerLayer } from "Layers";
+import { disposeObject, lerp } from "Utility";
+
+/* ============================== Starfield Layer ============================== */
+/**
+ * Built-in "starfield" layer: a sharp and a blurred point cloud around the scene, tinted
+ * from the palette's glow color. Both drift slowly, counter the camera orbit for parallax,
+ * and spin faster through the "starfield.spinX" / "starfield.spinY" modulation targets.
+ *
+ * Sized by Config.starfield; rebuilt when that section or the palette key changes.
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+export class StarfieldLayer extends Layer {
+  /** @param {import("Visualizer").Visualizer} viz */
+  init(viz) {
+    this.viz = viz;
+    /** @type {THREE.Points|null} */
+    this.main = null;
+    /** @type {THREE.Points|null} */
+    this.blur = null;
+    this.rebuild();
+  }
+
+  /** @param {Array<keyof Config>} sections */
+  applyConfig(sections) {
+    if (!this.viz) return;
+    const key = JSON.stringify(Config.get().starfield);
+    const repaint = sections.includes("theme") && Config.get().theme.palette !== this._paletteId;
+    if ((sections.includes("starfield") && key !== this._key) || repaint) this.rebuild();
+  }
+
+  /**
+   * @description
+   *   Recreates starfield and blurred-starfield point clouds using the current palette and
+   *   configuration. Disposes previous starfield objects and adds new ones to the scene.
+   * @returns {void}
+   */
+  rebuild() {
+    const viz = /** @type {import("Visualizer").Visualizer} */ (this.viz);
+    const cf = Config.get().starfield;
+    this.#remove();
+    const sfMain = createStarfield(cf.mainCount, cf.radius, viz.pal, {
+      size: cf.mainSize,
+      opacity: cf.mainOpacity,
+    });
+    const sfBlur = createStarfield(cf.blurCount, cf.radius - 2, viz.pal, {
+      size: cf.blurSize,
+      opacity: cf.blurOpacity,
+    });
+    this.main = sfMain.points;
+    this.blur = sfBlur.points;
+    viz.scene.add(this.main);
+    viz.scene.add(this.blur);
+    this._key = JSON.stringify(cf);
+    this._paletteId = Config.get().theme.palette;
+  }
+
+  /** @param {import("Layers").LayerFrame} frame */
+  update({ mod, orbit }) {
+    // Opposite the orbit; the blurred (nearer-looking) layer moves more
+    for (const [sf, depth, follow] of /** @type {const} */ ([
+      [this.main, 0.3, 0.05],
+      [this.blur, 0.55, 0.1],
+    ])) {
+      if (!sf) continue;
+      sf.rotation.y += 0.002 + mod("starfield.spinY");
+      sf.rotation.x += 0.0005 + mod("starfield.spinX");
+      sf.position.x = lerp(sf.position.x || 0, -depth * orbit.x, follow);
+      sf.position.y = lerp(sf.position.y || 0, -depth * orbit.y, follow);
+    }
+  }
+
+  reset() {
+    for (const sf of [this.main, this.blur]) {
+      sf?.rotation.set(0, 0, 0);
+      sf?.position.set(0, 0, 0);
+    }
+  }
+
+  dispose() {
+    this.#remove();
+  }
+
+  modTargets() {
+    return ["starfield.spinX", "starfield.spinY"];
+  }
+
+  #remove() {
+    for (const sf of [this.main, this.blur]) {
+      if (!sf) continue;
+      sf.removeFromParent();
+      disposeObject(sf);
+    }
+    this.main = this.blur = null;
+  }
+}
+
+/**
+ * Starfield
+ * @param {number} count - Number of stars to generate.
+ * @param {number} radius - Radius of the starfield sphere.
+ * @param {{base: THREE.Color, glow: THREE.Color}} pal - Color palette with base and glow colors.
+ * @param {{size?: number, opacity?: number}} [opts] - Optional parameters.
+ * @returns {{points: THREE.Points, geom: THREE.BufferGeometry, mat: THREE.PointsMaterial}}
+ * @description
+ *   Creates a starfield point cloud with stars distributed on a sphere of given radius.
+ *   Each star's color is based on the glow color of the provided palette, with slight random
+ *   variations in hue, saturation, and lightness. Returns the Points object along with its
+ *   geometry and material for further customization if needed.
+ * */
+export function createStarfield(count, radius, pal, opts = {}) {
+  const size = opts.size ?? 0.1,
+    opacity = opts.opacity ?? 1.0;
+  const geom = new THREE.BufferGeometry();
+  const pos = new Float32Array(count * 3),
+    col = new Float32Array(count * 3);
+  const glowHSL = { h: 0, s: 1, l: 0.5 };
+  pal.glow.getHSL(glowHSL);
+  for (let i = 0; i < count; i++) {
+    const r = radius * (0.6 + 0.4 * Math.random());
+    const theta = Math.random() * Math.PI * 2,
+      phi = Math.acos(2 * Math.random() - 1);
+    const x = r * Math.sin(phi) * Math.cos(theta),
+      y = r * Math.sin(phi) * Math.sin(theta),
+      z = r * Math.cos(phi);
+    const j = i * 3;
+    pos[j] = x;
+    pos[j + 1] = y;
+    pos[j + 2] = z;
+    const h = (glowHSL.h + (Math.random() * 0.1 - 0.05) + 1) % 1,
+      s = 0.85 + Math.random() * 0.15,
+      l = 0.7 + Math.random() * 0.3;
+    const c = new THREE.Color().setHSL(h, s, l);
+    col[j] = c.r;
+    col[j + 1] = c.g;
+    col[j + 2] = c.b;
+  }
+  geom.setAttribute("position", new THREE.BufferAttribute(pos, 3));
+  geom.setAttribute("color", new THREE.BufferAttribute(col, 3));
+  const mat = new THREE.PointsMaterial({
+    size,
+    sizeAttenuation: true,
+    vertexColors: true,
+    transparent: true,
+    opacity,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+  const points = new THREE.Points(geom, mat);
+  points.renderOrder = -10;
+  return { points, geom, mat };
+}
+
+registerLayer("starfield", StarfieldLayer);
@@ -5,43 +5,150 @@ export function clamp(v, lo, hi) {
 }export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} x
+ * @returns {number} smoothstep value
+ * @description
+ *   Smoothstep function that eases from 0 to 1 as x goes from a to b, clamped outside that range.
+ */
+export function smoothstepEdge(a, b, x) {
+  const t = clamp((x - a) / (b - a), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+/**
+ *
+ * @param {THREE.Object3D} obj - Object to dispose of (geometry and materials of all children).
+ * @description
+ *   Disposes of the geometries and materials of an object and all its children.
+ */
+export function disposeObject(obj) {
+  obj.traverse((o) => {
+    const g = /** @type {any} */ (o).geometry;
+    if (g) g.dispose?.();
+    const m = /** @type {any} */ (o).material;
+    if (Array.isArray(m)) m.forEach((mm) => mm?.dispose?.());
+    else m?.dispose?.();
+  });
+}
 /** UI panel backdrop (if present) */
 
 export function applyBackground(pal) {
+  if (typeof document === "undefined") return; // worker: the page paints its own backdrop
   const el = document.querySelector(".wrap");
   if (!el) return;
   el.style.background = `radial-gradient(1200px 800px at 50% 40%, ${pal.bgTop} 0%, ${pal.bgBot} 60%, #06070b 100%)`;
 }
-/* ============================== Utilities ============================== */
+/* ============================== Palettes ============================== */
+
+/**
+ * Serializable palette definition (CSS color strings).
+ * @typedef {{base:string, glow:string, line:string, bgTop:string, bgBot:string, label?:string}} PaletteSpec
+ */
+
+/**
+ * Live palette handed to the Visualizer. Colors are fresh instances per call, so callers may mutate them.
+ * @typedef {{base:THREE.Color, glow:THREE.Color, line:THREE.Color, bgTop:string, bgBot:string}} Palette
+ */
+
+/** Palette used when an unknown key is requested. */
+export const DEFAULT_PALETTE = "synth";
+
+const PALETTE_KEYS = /** @type {const} */ (["base", "glow", "line", "bgTop", "bgBot"]);
+
+/** @type {Map<string, PaletteSpec>} */
+const palettes = new Map(Object.entries({
+  synth: { label: "Synthwave", base: "#a000ff", glow: "#ff2ea6", line: "#1a1033", bgTop: "#14162a", bgBot: "#0a0b10" },
+  noir: { label: "Noir Violet", base: "#8a2be2", glow: "#d9b3ff", line: "#401a65", bgTop: "#121224", bgBot: "#090a12" },
+  burn: { label: "Burning City", base: "#ff6a00", glow: "#ffd19c", line: "#5a1a00", bgTop: "#18110f", bgBot: "#0a0706" },
+  voltage: { label: "Voltage Red", base: "#ff1a1a", glow: "#ffd000", line: "#4a0000", bgTop: "#1a0b0b", bgBot: "#0a0505" },
+  iron: { label: "Iron Steel", base: "#8a96a8", glow: "#dbe6f5", line: "#2a3038", bgTop: "#14171c", bgBot: "#08090b" },
+  ember: { label: "Ember Glow", base: "#ff4500", glow: "#ffb347", line: "#4a1200", bgTop: "#1c0f0a", bgBot: "#0b0604" },
+  acid: { label: "Acid Green", base: "#39ff14", glow: "#d4ff00", line: "#0f4a05", bgTop: "#0d1a0b", bgBot: "#050a04" },
+  storm: { label: "Electric Storm", base: "#1e90ff", glow: "#a8f0ff", line: "#0a2a5a", bgTop: "#0c1424", bgBot: "#05080f" },
+  crimson: { label: "Crimson Blood", base: "#b0001e", glow: "#ff4d6d", line: "#3a0008", bgTop: "#1a080b", bgBot: "#0a0305" },
+  grunge: { label: "Grunge Bronze", base: "#8c6a2f", glow: "#e0b872", line: "#3a2a10", bgTop: "#17130c", bgBot: "#0a0805" },
+  obsidian: { label: "Obsidian Purple", base: "#3d0a6b", glow: "#9b5de5", line: "#16052a", bgTop: "#0f0a18", bgBot: "#060409" },
+  hellfire: { label: "Hellfire Inferno", base: "#ff2200", glow: "#ffea00", line: "#5a0a00", bgTop: "#200805", bgBot: "#0c0302" },
+  diesel: { label: "Diesel Gray", base: "#5c6166", glow: "#c7ccd1", line: "#22252a", bgTop: "#121315", bgBot: "#08090a" },
+}));
+
+/**
+ * Register (or replace) a palette so palette(id) and the Palette dropdown can use it.
+ * @param {string} id
+ * @param {PaletteSpec} spec
+ * @throws {TypeError} if a color field is missing or not a string
+ */
+export function registerPalette(id, spec) {
+  if (typeof id !== "string" || id === "") throw new TypeError("Palette id must be a non-empty string");
+  for (const k of PALETTE_KEYS)
+  {
+    if (typeof spec?.[k] !== "string") throw new TypeError(`Palette "${id}" is missing "${k}"`);
+  }
+  palettes.set(id, { ...spec, label: spec.label || id });
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasPalette(id) {
+  return palettes.has(id);
+}
+
+/**
+ * Copy of a registered palette definition, e.g. to re-register it in a worker.
+ * @param {string} id
+ * @returns {PaletteSpec|undefined}
+ */
+export function paletteSpec(id) {
+  const spec = palettes.get(id);
+  return spec && { ...spec };
+}
 
+/**
+ * Registered palettes in registration order.
+ * @returns {Array<{id:string, label:string}>}
+ */
+export function listPalettes() {
+  return Array.from(palettes, ([id, spec]) => ({ id, label: spec.label || id }));
+}
+
+/**
+ * Build a live palette. Unknown keys warn and fall back to DEFAULT_PALETTE.
+ * @param {string} id
+ * @returns {Palette}
+ */
 export function palette(id) {
-  switch (id)
+  let spec = palettes.get(id);
+  if (!spec)
   {
-    case "noir":
-      return {
-        base: new THREE.Color("#8a2be2"),
-        glow: new THREE.Color("#d9b3ff"),
-        line: new THREE.Color("#401a65"),
-        bgTop: "#121224",
-        bgBot: "#090a12",
-      };
-    case "burn":
-      return {
-        base: new THREE.Color("#ff6a00"),
-        glow: new THREE.Color("#ffd19c"),
-        line: new THREE.Color("#5a1a00"),
-        bgTop: "#18110f",
-        bgBot: "#0a0706",
-      };
-    case "synth":
-    default:
-      return {
-        base: new THREE.Color("#a000ff"),
-        glow: new THREE.Color("#ff2ea6"),
-        line: new THREE.Color("#1a1033"),
-        bgTop: "#14162a",
-        bgBot: "#0a0b10",
-      };
+    console.warn(`Unknown palette "${id}", falling back to "${DEFAULT_PALETTE}"`);
+    spec = /** @type {PaletteSpec} */ (palettes.get(DEFAULT_PALETTE));
   }
+  return {
+    base: new THREE.Color(spec.base),
+    glow: new THREE.Color(spec.glow),
+    line: new THREE.Color(spec.line),
+    bgTop: spec.bgTop,
+    bgBot: spec.bgBot,
+  };
 }
 
+/**
+ * Rotate base and glow hues in place (wraps around the color wheel).
+ * @param {Palette} pal
+ * @param {number} dh hue offset in turns (0..1)
+ * @returns {Palette}
+ */
+export function rotatePaletteHue(pal, dh) {
+  if (!dh) return pal;
+  const hsl = { h: 0, s: 0, l: 0 };
+  for (const c of [pal.base, pal.glow])
+  {
+    c.getHSL(hsl);
+    c.setHSL((((hsl.h + dh) % 1) + 1) % 1, hsl.s, hsl.l);
+  }
+  return pal;
+}
@@ -0,0 +1,292 @@
+// @ts-check
+import * as THREE from "three";
+import { EffectComposer } from "https://unpkg.com/three@0.160.0/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "https://unpkg.com/three@0.160.0/examples/jsm/postprocessing/RenderPass.js";
+import { AfterimagePass } from "https://unpkg.com/three@0.160.0/examples/jsm/postprocessing/AfterimagePass.js";
+import { UnrealBloomPass } from "https://unpkg.com/three@0.160.0/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { AudioFeatures } from "AudioFeatures";
+import { Config } from "Config";
+import { disposeObject, palette, rotatePaletteHue } from "Utility";
+
+/* ============================== Voxel Cube ============================== */
+/**
+ * The /victory visualizer: a size³ cube of square points tumbling on three axes. Each
+ * column (x + y) rides one spectrum band, pushing its points toward the viewer, more so
+ * away from the shell at half the cube's size, where the points are also largest. Colors
+ * run through hue bands from the center out, and trails and glow follow the old page.
+ *
+ * Settings live in Config.voxels:
+ *   size     points per edge (the old page: 15); the cube is rebuilt on change
+ *   spin     tumble speed, 1 = the old page
+ *   trails   how much of the last frame stays (AfterimagePass damp)
+ *   glow     bloom strength
+ *   spread   share of the color wheel the hue bands cover: 1 = the old rainbow, 0 = the
+ *            palette's glow color only
+ *   pump     how far loud passages pull the cube toward the viewer
+ *
+ * The hue bands start at the palette's glow hue (Config.theme, including its hue offset);
+ * brightness follows the spectral centroid.
+ *
+ *   const cube = new VoxelCube(canvas, analyser);
+ *   // per frame
+ *   cube.frame(t_ms);
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ */
+
+/** Spectrum slice the bands spread over, as fractions of the analyser's bins (the old page's 12..40 of 64). */
+const BAND_LO = 12 / 64;
+const BAND_HI = 41 / 64;
+
+const VERTEX = /* glsl */ `
+uniform float uFrame;
+uniform float uAngle;
+uniform float uSize;
+uniform float uAspect;
+uniform float uPointScale;
+uniform float uPump;
+uniform sampler2D tBands;
+uniform float uBands;
+varying vec3 vPos;
+
+vec3 rotY(vec3 p, float a) { return vec3(p.x * cos(a) + p.z * sin(a), p.y, -p.x * sin(a) + p.z * cos(a)); }
+vec3 rotZ(vec3 p, float a) { return vec3(p.x * cos(a) - p.y * sin(a), p.x * sin(a) + p.y * cos(a), p.z); }
+vec3 rotX(vec3 p, float a) { return vec3(p.x, p.y * cos(a) - p.z * sin(a), p.y * sin(a) + p.z * cos(a)); }
+
+void main() {
+  vPos = position;
+  // Column x + y picks the band; bytes / 100 like the old page
+  vec3 idx = position + (uSize - 1.0) * 0.5;
+  float value = texture2D(tBands, vec2((idx.x + idx.y + 0.5) / uBands, 0.5)).r * 2.55;
+  float dist = abs(floor(uSize * 0.5) - length(position));
+
+  vec3 p = rotX(rotZ(rotY(position, uAngle), uAngle), uAngle);
+  // Camera distance grows with the cube so every size fills the view alike
+  p.z -= 20.0 * uSize / 15.0 * (1.0 - uPump);
+
+  p.z += value * dist;
+  p.y += value / 100.0;
+  p.x += sin(uFrame / 30.0 + p.y / 4.0) * 1.2;
+  p.y += cos(uFrame / 20.0 + p.z / 5.0) * 1.0;
+
+  gl_Position = vec4(p.x / p.z / uAspect, p.y / p.z, 0.0, 1.0);
+  gl_PointSize = dist * uPointScale;
+}`;
+
+const FRAGMENT = /* glsl */ `
+uniform float uFrame;
+uniform float uBright;
+uniform float uHue;
+uniform float uSat;
+uniform float uSpread;
+varying vec3 vPos;
+
+vec3 hsl2rgb(vec3 c) {
+  vec3 rgb = clamp(abs(mod(c.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+  return c.z + c.y * (rgb - 0.5) * (1.0 - abs(2.0 * c.z - 1.0));
+}
+
+void main() {
+  float band = mod(uFrame + length(vPos) * 20.0, 360.0) / 360.0;
+  gl_FragColor = vec4(hsl2rgb(vec3(fract(uHue + band * uSpread), uSat, 0.35 + 0.3 * uBright)), 1.0);
+}`;
+
+export class VoxelCube {
+  /** Analyser settings the cube was tuned for (see AudioGraph). */
+  static analyserOptions = { fftSize: 2048, smoothing: 0.2 };
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {AnalyserNode} analyser
+   */
+  constructor(canvas, analyser) {
+    this.canvas = canvas;
+    this.analyser = analyser;
+    this.features = new AudioFeatures(analyser);
+    this.spec = new Uint8Array(analyser.frequencyBinCount);
+    this.brightness = 0.5;
+    this.pump = 0;
+    this.dpr = 1;
+    this.angle = 0;
+    /** @type {number|null} */
+    this.lastT = null;
+
+    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: false, alpha: false });
+    this.renderer.setClearColor(0x000000, 1);
+    this.scene = new THREE.Scene();
+    // Positions are projected in the vertex shader; the camera only satisfies the renderer
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1, 1);
+
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: VERTEX,
+      fragmentShader: FRAGMENT,
+      uniforms: {
+        uFrame: { value: 0 },
+        uAngle: { value: 0 },
+        uSize: { value: 1 },
+        uAspect: { value: 1 },
+        uPointScale: { value: 1 },
+        uPump: { value: 0 },
+        tBands: { value: null },
+        uBands: { value: 1 },
+        uBright: { value: 0.5 },
+        uHue: { value: 0 },
+        uSat: { value: 1 },
+        uSpread: { value: 1 },
+      },
+      depthTest: false,
+      depthWrite: false,
+    });
+    /** @type {THREE.Points|null} */
+    this.points = null;
+    /** @type {THREE.DataTexture|null} */
+    this.bandTex = null;
+    this.bands = new Uint8Array(0);
+
+    const cf = Config.get().voxels;
+    this.composer = new EffectComposer(this.renderer);
+    this.composer.addPass(new RenderPass(this.scene, this.camera));
+    this.afterimage = new AfterimagePass(cf.trails);
+    this.composer.addPass(this.afterimage);
+    this.bloomPass = new UnrealBloomPass(new THREE.Vector2(1, 1), cf.glow, 0.4, 0);
+    this.composer.addPass(this.bloomPass);
+
+    this.build(cf.size);
+    this.applyConfig(["voxels", "theme"]);
+    this._offConfig = Config.onChange(({ sections }) => this.applyConfig(sections));
+    this._resizer = new ResizeObserver(() => this.resize());
+    this._resizer.observe(canvas);
+    this.resize();
+  }
+
+  /**
+   * (Re)build the cube and its band texture.
+   * @param {number} size - Points per edge.
+   */
+  build(size) {
+    size = Math.max(2, size | 0);
+    this.size = size;
+    if (this.points) {
+      this.points.removeFromParent();
+      this.points.geometry.dispose();
+    }
+    const n = size ** 3;
+    const pos = new Float32Array(n * 3);
+    const half = size / 2 - 0.5;
+    for (let i = 0; i < n; i++) {
+      pos[i * 3] = (i % size) - half;
+      pos[i * 3 + 1] = (Math.floor(i / size) % size) - half;
+      pos[i * 3 + 2] = Math.floor(i / size ** 2) - half;
+    }
+    const geom = new THREE.BufferGeometry();
+    geom.setAttribute("position", new THREE.BufferAttribute(pos, 3));
+    this.points = new THREE.Points(geom, this.material);
+    this.points.frustumCulled = false;
+    this.scene.add(this.points);
+
+    // One band per x + y column sum
+    const count = size * 2 - 1;
+    this.bandTex?.dispose();
+    this.bands = new Uint8Array(count * 4);
+    this.bandTex = new THREE.DataTexture(this.bands, count, 1, THREE.RGBAFormat, THREE.UnsignedByteType);
+    this.bandTex.minFilter = THREE.NearestFilter;
+    this.bandTex.magFilter = THREE.NearestFilter;
+    this.bandTex.needsUpdate = true;
+    const u = this.material.uniforms;
+    u.uSize.value = size;
+    u.tBands.value = this.bandTex;
+    u.uBands.value = count;
+    // The old page sized points in CSS pixels for a 15-point cube
+    u.uPointScale.value = (this.dpr * 15) / size;
+  }
+
+  /** @param {Array<keyof Config>} sections */
+  applyConfig(sections) {
+    if (sections.includes("voxels")) {
+      const cf = Config.get().voxels;
+      if ((cf.size | 0) !== this.size) this.build(cf.size);
+      this.afterimage.uniforms.damp.value = cf.trails;
+      this.bloomPass.strength = cf.glow;
+      this.material.uniforms.uSpread.value = cf.spread;
+    }
+    if (sections.includes("theme") || sections.includes("voxels")) {
+      const th = Config.get().theme;
+      const hsl = { h: 0, s: 0, l: 0 };
+      rotatePaletteHue(palette(th.palette), th.hue).glow.getHSL(hsl);
+      this.material.uniforms.uHue.value = hsl.h;
+      this.material.uniforms.uSat.value = hsl.s;
+    }
+  }
+
+  /** Fit the drawing buffer to the canvas (DPR capped at 2). */
+  resize() {
+    const w = Math.max(2, this.canvas.clientWidth),
+      h = Math.max(2, this.canvas.clientHeight);
+    const dpr = (this.dpr = Math.min(2, window.devicePixelRatio || 1));
+    this.renderer.setPixelRatio(dpr);
+    this.renderer.setSize(w, h, false);
+    this.composer.setPixelRatio(dpr);
+    this.composer.setSize(w, h);
+    const u = this.material.uniforms;
+    u.uAspect.value = w / h;
+    u.uPointScale.value = (dpr * 15) / /** @type {number} */ (this.size);
+  }
+
+  /** @param {number} t_ms - Animation timestamp (requestAnimationFrame). */
+  frame(t_ms) {
+    const dt = this.lastT === null ? 1 / 60 : Math.min(0.1, (t_ms - this.lastT) / 1000);
+    this.lastT = t_ms;
+    const cf = Config.get().voxels;
+    const u = this.material.uniforms;
+
+    this.analyser.getByteFrequencyData(this.spec);
+    const f = this.features.update(this.spec);
+    this.#fillBands();
+
+    // Brighter timbre (higher spectral centroid), brighter cubes
+    this.brightness += (f.centroidNorm - this.brightness) * 0.1;
+    this.pump += (f.level * cf.pump * 0.35 - this.pump) * 0.2;
+    // The old page advanced one frame per animation frame, at 60 Hz
+    this.angle += (dt * 60 * cf.spin) / 2 / 180 * Math.PI;
+    u.uFrame.value = t_ms * 0.06;
+    u.uAngle.value = this.angle;
+    u.uBright.value = this.brightness;
+    u.uPump.value = this.pump;
+    this.composer.render(dt);
+  }
+
+  /** Back to the boot state. */
+  reset() {
+    this.angle = 0;
+    this.pump = 0;
+    this.brightness = 0.5;
+    this.lastT = null;
+  }
+
+  dispose() {
+    this._resizer.disconnect();
+    this._offConfig();
+    if (this.points) disposeObject(this.points);
+    this.bandTex?.dispose();
+    this.composer.dispose();
+    this.renderer.dispose();
+  }
+
+  /** Average the analyser bins of each band into the band texture. */
+  #fillBands() {
+    const spec = this.spec;
+    const bands = this.bands;
+    const count = bands.length / 4;
+    const lo = BAND_LO * spec.length,
+      span = (BAND_HI - BAND_LO) * spec.length;
+    for (let k = 0; k < count; k++) {
+      const a = Math.floor(lo + (k / count) * span);
+      const b = Math.max(a + 1, Math.floor(lo + ((k + 1) / count) * span));
+      let sum = 0;
+      for (let i = a; i < b; i++) sum += spec[i];
+      bands[k * 4] = sum / (b - a);
+    }
+    /** @type {THREE.DataTexture} */ (this.bandTex).needsUpdate = true;
+  }
+}
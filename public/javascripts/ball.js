@@ -0,0 +1,59 @@
+/**
+ * Ball - the noise ball page (/ball) on the shared player
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ *
+ * Optional data-* (reads from #player first, then <body>, then defaults):
+ *   data-default-track  string  default audio URL if #player has empty/missing src
+ *   data-autoplay       "true"|"false"  autoplay if allowed (default false)
+ *   data-volume         "0.0".."1.0"    initial volume (default 1.0)
+ *   data-palette        string  palette key to apply at boot
+ *   data-title          string  explicit footer label; if omitted we derive from filename
+ *   data-config         string  JSON of per-section Config overrides (`theme` and `ball` matter here)
+ *   data-palettes       string  JSON of custom palettes to register at boot, keyed by id
+ *
+ * The queue repeats by default. #preset= hashes work as on the Soundscape3 pages. The Ball
+ * sliders are two-way bound to Config.ball; drag or scroll the stage to orbit and zoom.
+ */
+
+import { Config } from "Config";
+import { NoiseBall } from "NoiseBall";
+import {
+  AudioGraph,
+  applyPageConfig,
+  bindConfigSliders,
+  installPlayerControls,
+} from "Player";
+
+(function main() {
+  const canvas = /** @type {HTMLCanvasElement} */ (
+    document.getElementById("stage")
+  );
+  const audio = /** @type {HTMLAudioElement} */ (
+    document.getElementById("player")
+  );
+  const stat = document.getElementById("stat");
+
+  Config.usePageSections("ball");
+  if (applyPageConfig(audio) && stat) stat.textContent = "Preset loaded";
+  const graph = new AudioGraph(audio, NoiseBall.analyserOptions);
+  installPlayerControls(audio, graph, { stage: canvas, repeat: "all" });
+  const ball = new NoiseBall(canvas, graph.ensure().analyser);
+
+  // Ball sliders: element id -> Config.ball key, and the readout's decimals
+  bindConfigSliders("ball", [
+    ["bass", "bass", 2],
+    ["treble", "treble", 2],
+    ["ground", "ground", 2],
+    ["spin", "spin", 2],
+    ["detail", "detail", 0],
+  ]);
+
+  /** @param {number} t */
+  function loop(t) {
+    ball.frame(t);
+    requestAnimationFrame(loop);
+  }
+  requestAnimationFrame(loop);
+})();
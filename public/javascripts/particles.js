@@ -0,0 +1,61 @@
+/**
+ * Particles - the 2D particle pages (/becausewhynot, /soundscape) on the shared player
+ *
+ * Author: DJ Stomp <DJStompZone>
+ * License: MIT
+ *
+ * Optional data-* (reads from #player first, then <body>, then defaults):
+ *   data-scene          "tunnel"|"horizon"  which Particles2D scene to draw (default "tunnel")
+ *   data-default-track  string  default audio URL if #player has empty/missing src
+ *   data-autoplay       "true"|"false"  autoplay if allowed (default false)
+ *   data-volume         "0.0".."1.0"    initial volume (default 1.0)
+ *   data-palette        string  palette key to apply at boot
+ *   data-title          string  explicit footer label; if omitted we derive from filename
+ *   data-config         string  JSON of per-section Config overrides (`theme` and `particles` matter here)
+ *   data-palettes       string  JSON of custom palettes to register at boot, keyed by id
+ *
+ * The queue repeats by default, like the old looping pages. #preset= hashes work as on
+ * the Soundscape3 pages. The Resolution slider sets Config.particles.resolution.
+ */
+
+import { Config } from "Config";
+import { SCENES } from "Particles2D";
+import {
+  AudioGraph,
+  applyPageConfig,
+  bindConfigSliders,
+  getData,
+  installPlayerControls,
+} from "Player";
+
+(function main() {
+  const canvas = /** @type {HTMLCanvasElement} */ (
+    document.getElementById("stage")
+  );
+  const audio = /** @type {HTMLAudioElement} */ (
+    document.getElementById("player")
+  );
+  const stat = document.getElementById("stat");
+
+  const name = getData("scene", audio, document.body) || "tunnel";
+  const Scene = SCENES[/** @type {keyof typeof SCENES} */ (name)];
+  if (!Scene) {
+    if (stat) stat.textContent = `Unknown scene "${name}"`;
+    return;
+  }
+
+  Config.usePageSections("particles");
+  if (applyPageConfig(audio) && stat) stat.textContent = "Preset loaded";
+  const graph = new AudioGraph(audio, Scene.analyserOptions);
+  installPlayerControls(audio, graph, { stage: canvas, repeat: "all" });
+  const scene = new Scene(canvas, graph.ensure().analyser);
+
+  // Resolution slider (two-way bound to Config; the scene resizes itself)
+  bindConfigSliders("particles", [["resolution", "resolution", 2]]);
+
+  function loop() {
+    scene.frame();
+    requestAnimationFrame(loop);
+  }
+  requestAnimationFrame(loop);
+})();
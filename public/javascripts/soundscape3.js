@@ -10,103 +10,61 @@
  *   data-volume         "0.0".."1.0"    initial volume (default 1.0)
  *   data-palette        string  palette key to apply at boot (default "synthwave")
  *   data-title          string  explicit footer label; if omitted we derive from filename
+ *   data-stl            string  STL used as the morph target (default "/spikeball.stl") when
+ *                               Config.shapes.list is empty
+ *   data-config         string  JSON of per-section Config overrides, e.g. {"bloom":{"strength":0.6}}
+ *   data-palettes       string  JSON of custom palettes to register at boot, keyed by id:
+ *                               {"neon":{"label":"Neon","base":"#0ff","glow":"#f0f","line":"#022","bgTop":"#011","bgBot":"#000"}}
+ *   data-worker         "true"|"false"  render in a worker on an OffscreenCanvas (default false)
+ *   data-layers         string  scene layer stack, drawn in order: a JSON array of specs or a comma
+ *                               list of types, e.g. "starfield, mesh, ring" or
+ *                               [{"type":"ribbon","y":-1.4},"mesh"] (default "starfield, mesh";
+ *                               see Layers.js)
+ *
+ * Audio: the file picker takes several files and replaces the queue; audio files dropped
+ * on the stage are appended to it. The queue auto-advances gaplessly when a track ends.
+ * With Look-ahead on (Config.lookahead.enabled) each track is decoded and analyzed up
+ * front; the seek bar then shows its waveform and sections and the visuals ramp into drops.
+ *
+ * URL options:
+ *   #preset=...   Config preset (see Config.toHash)
+ *   ?debug        open the Config tweak panel at boot (the ` key toggles it anytime)
+ *   ?worker       same as data-worker="true"
+ *
+ * Shapes: Config.shapes.list (usually set per track through data-config) gives the page up
+ * to four morph targets, STLs or procedural ones, which the mesh blends between by section,
+ * beat or the Crossfader slider (see Shapes.js). A model loaded with Custom shape (or an STL,
+ * OBJ or GLB dropped on the stage) takes the first slot until Reset, for this visit only.
+ *
+ * Worker rendering (RemoteVisualizer) keeps the scene off the main thread, so UI work, file
+ * loading and the morph bake cannot hitch the animation. Browsers without OffscreenCanvas
+ * fall back to the main thread. Video export needs the scene locally and is off in that mode.
  */
 
 import { Visualizer } from "Visualizer";
-import { loadAndBakeSTLMorph } from "Morph";
-import { applyBackground, clamp, palette } from "Utility";
+import { RemoteVisualizer } from "RemoteVisualizer";
+import { isShapeFile, loadShape, loadShapeFile } from "Morph";
+import { morphCache } from "MorphCache";
+import { resolveShapeList } from "Shapes";
+import { parseLayerStack } from "Layers";
+import {
+  AudioGraph,
+  applyPageConfig,
+  filenameLabel,
+  getData,
+  installPlayerControls,
+  parseBool,
+} from "Player";
 import { Config } from "Config";
+import { installDevPanel } from "DevPanel";
+import { installModulationEditor } from "ModulationEditor";
+import { renderVideo } from "OfflineRender";
+import { ClipRecorder, clipExtension } from "Recorder";
+import { analyzeTrack } from "Analysis";
+import { SeekBar } from "SeekBar";
+import { showOverlay, hideOverlay, updateOverlay } from "DOM";
 import * as THREE from "three";
 
-/**
- * @description Resolves a boolean-ish attribute.
- * @param {any} v
- * @returns {boolean}
- */
-function parseBool(v) {
-  return typeof v === "string" && v.toLowerCase() === "true";
-}
-
-/**
- * @description Clamps to [0,1] number or undefined.
- * @param {any} v
- * @returns {number|undefined}
- */
-function parseVolume(v) {
-  if (typeof v !== "string") return undefined;
-  const n = Number(v);
-  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : undefined;
-}
-
-/**
- * @description Gets dataset value from a preferred element, with a fallback host.
- * @param {string} name Dataset key name (without "data-")
- * @param {HTMLElement} primaryEl Primary element to check first
- * @param {HTMLElement} fallbackEl Fallback element to check second
- * @returns {string|undefined} Value if present and non-empty, else undefined
- */
-function getData(name, primaryEl, fallbackEl) {
-  const k = name in primaryEl.dataset ? primaryEl.dataset[name] : undefined;
-  return typeof k === "string" && k.length > 0
-    ? k
-    : typeof fallbackEl.dataset[name] === "string" &&
-      fallbackEl.dataset[name].length > 0
-    ? fallbackEl.dataset[name]
-    : undefined;
-}
-
-/**
- * @description Extracts a friendly name from a URL like "/audio/GoodLuckWithThat_Redux.mp3".
- * @param {string} url
- * @returns {string} Filename without extension, or original URL if invalid.
- */
-function filenameLabel(url) {
-  try {
-    const p = new URL(url, location.href).pathname;
-    const base = p.split("/").pop() || "";
-    return base.replace(/\.[a-zA-Z0-9]+$/, "");
-  } catch {
-    return url;
-  }
-}
-
-/**
- * @description Ensures an <audio> element has a source; prefer its src, else data-default-track on audio/body.
- * @param {HTMLAudioElement} audio
- * @param {HTMLElement|null} statusEl Optional status element to update with messages.
- * @returns {string} The chosen source URL, or empty string if none found.
- */
-function ensureDefaultTrack(audio, statusEl) {
-  const body = document.body;
-  const current = audio.getAttribute("src") || "";
-  if (current.trim() !== "") return current;
-  const fallback = getData("defaultTrack", audio, body) || "";
-  if (fallback) {
-    audio.src = fallback;
-    if (statusEl)
-      statusEl.textContent = `Loaded default: ${filenameLabel(fallback)}`;
-    return fallback;
-  }
-  if (statusEl) statusEl.textContent = "No audio source configured.";
-  return "";
-}
-
-/**
- * @description Sets the footer text from title override or filename.
- * @param {HTMLDivElement|null} nowPlayingEl
- * @param {string|undefined} explicitTitle
- * @param {string} srcUrl
- * @return {void}
- */
-function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
-  const title =
-    explicitTitle && explicitTitle.trim() !== ""
-      ? explicitTitle
-      : filenameLabel(srcUrl || "");
-  if (nowPlayingEl)
-    nowPlayingEl.textContent = title ? `Now Playing: ${title}` : "Idle";
-}
-
 (async function main() {
   const canvas = /** @type {HTMLCanvasElement} */ (
     document.getElementById("stage")
@@ -114,9 +72,6 @@ function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
   const audio = /** @type {HTMLAudioElement} */ (
     document.getElementById("player")
   );
-  const fileInput = /** @type {HTMLInputElement} */ (
-    document.getElementById("file")
-  );
   const rot = /** @type {HTMLInputElement} */ (document.getElementById("rot"));
   const rotv = /** @type {HTMLSpanElement} */ (document.getElementById("rotv"));
   const dist = /** @type {HTMLInputElement} */ (
@@ -140,81 +95,113 @@ function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
     document.getElementById("bloomv")
   );
   const stat = /** @type {HTMLSpanElement} */ (document.getElementById("stat"));
-  const paletteSel = /** @type {HTMLSelectElement|null} */ (
-    document.getElementById("palette")
-  );
-  const nowPlaying = /** @type {HTMLDivElement} */ (
-    document.querySelector(".footer .now-playing")
-  );
 
-  const fileLabel = document.getElementById("file-label");
+  // Per-page options via data-* (audio takes precedence, then body)
+  const stlUrl = getData("stl", audio, document.body) || "/spikeball.stl";
+  const layers = parseLayerStack(getData("layers", audio, document.body)) ?? undefined;
+  const useWorker =
+    parseBool(getData("worker", audio, document.body) || "false") ||
+    new URLSearchParams(location.search).has("worker");
+
+  // Config must be settled before the Visualizer reads it
+  if (applyPageConfig(audio) && stat) stat.textContent = "Preset loaded";
 
-  if (fileInput && fileLabel && audio) {
-    fileLabel.textContent = audio.dataset.title || "Default track";
+  const graph = new AudioGraph(audio);
+  const { analyser, recordDest } = graph.ensure();
+  const viz =
+    useWorker && RemoteVisualizer.isSupported()
+      ? new RemoteVisualizer(canvas, analyser, { layers })
+      : new Visualizer(canvas, analyser, { layers });
+  if (useWorker && !(viz instanceof RemoteVisualizer))
+    console.warn("Worker rendering unsupported here; rendering on the main thread");
+  if (viz instanceof RemoteVisualizer)
+    viz.ready.catch((e) => {
+      console.error(e);
+      if (stat) stat.textContent = "Render worker failed to start";
+    });
 
-    fileInput.addEventListener("change", () => {
-      if (fileInput.files.length > 0) {
-        fileLabel.textContent = fileInput.files[0].name;
+  // Precompute the morph targets, one shape slot each (fire-and-forget; a newer bake cancels the last)
+  const shapeList = () => resolveShapeList(Config.get().shapes.list, stlUrl);
+  /** User-loaded model standing in for the first shape (Custom shape row / stage drop). */
+  let customShape = /** @type {File|null} */ (null);
+  /** @type {AbortController|null} */
+  let baking = null;
+  function bakeMorph() {
+    baking?.abort();
+    const ctl = (baking = new AbortController());
+    (async () => {
+      for (const [slot, entry] of shapeList().entries()) {
+        const custom = slot === 0 ? customShape : null;
+        try {
+          if (custom) await loadShapeFile(custom, viz, { signal: ctl.signal, slot });
+          else await loadShape(entry, viz, { signal: ctl.signal, slot });
+        } catch (e) {
+          if (e instanceof DOMException && e.name === "AbortError") return;
+          console.error(`Shape ${custom?.name ?? entry}:`, e);
+          if (custom) {
+            if (stat) stat.textContent = `Shape failed: ${e instanceof Error ? e.message : e}`;
+            setCustomShape(null);
+            return;
+          }
+        }
       }
+    })().finally(() => {
+      if (baking === ctl) baking = null;
     });
   }
+  bakeMorph();
 
-  // Per-page options via data-* (audio takes precedence, then body)
-  const autoplay = parseBool(
-    getData("autoplay", audio, document.body) || "false"
+  // Custom shape: a user's model replaces the first shape until Reset
+  const shapeFile = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("shape-file")
   );
-  const startVolume = parseVolume(getData("volume", audio, document.body));
-  const startPalette = getData("palette", audio, document.body);
-  const explicitTitle = getData("title", audio, document.body);
-
-  var /** @type {AudioContext|null} */ actx = null;
-  var /** @type {AnalyserNode|null} */ analyser = null;
-
-  async function ensureAudioGraph() {
-    if (actx) return;
-    // @ts-ignore
-    actx = new (window.AudioContext || window.webkitAudioContext)();
-    const src = actx.createMediaElementSource(audio);
-    analyser = actx.createAnalyser();
-    analyser.fftSize = 2048;
-    analyser.smoothingTimeConstant = 0.3;
-    src.connect(analyser).connect(actx.destination);
-  }
-
-  const chosen = ensureDefaultTrack(audio, stat);
-  setFooter(nowPlaying, explicitTitle, chosen);
-
-  await ensureAudioGraph();
-  if (analyser === null) {
-    if (stat) stat.textContent = "Audio initialization failed.";
-    return;
-  }
-  const viz = new Visualizer(canvas, /** @type {AnalyserNode} */ (analyser));
-
-  // optional palette override at boot
-  if (startPalette) {
-    viz.pal = palette(startPalette);
-    applyBackground(viz.pal);
-    const solid = /** @type {THREE.Mesh} */ (viz.mesh.children[0]);
-    const mat = /** @type {THREE.ShaderMaterial} */ (solid.material);
-    viz.pal.base.getHSL(viz.baseHSL);
-    viz.pal.glow.getHSL(viz.glowHSL);
-    mat.uniforms.uBaseColor.value.copy(viz.pal.base);
-    mat.uniforms.uGlowColor.value.copy(viz.pal.glow);
-    viz.rebuildStarfield();
+  const shapeReset = /** @type {HTMLButtonElement|null} */ (
+    document.getElementById("shape-reset")
+  );
+  const shapefv = document.getElementById("shapefv");
+  /** @param {File|null} file */
+  function setCustomShape(file) {
+    customShape = file;
+    if (shapeReset) shapeReset.disabled = !file;
+    if (shapefv) {
+      shapefv.textContent = file ? file.name.replace(/\.[^.]+$/, "") : "\u00a0";
+      shapefv.title = file?.name ?? "";
+    }
+    bakeMorph();
   }
+  document
+    .getElementById("shape-load")
+    ?.addEventListener("click", () => shapeFile?.click());
+  shapeFile?.addEventListener("change", () => {
+    const f = shapeFile.files && shapeFile.files[0];
+    shapeFile.value = "";
+    if (f) setCustomShape(f);
+  });
+  shapeReset?.addEventListener("click", () => setCustomShape(null));
 
-  if (typeof startVolume === "number") audio.volume = startVolume;
-  if (autoplay) {
+  // Baked morph targets live in IndexedDB; show hit/miss and the stored size
+  const cachev = document.getElementById("cachev");
+  /** @param {string} last */
+  async function showCache(last) {
+    if (!cachev) return;
+    const { hits, misses } = morphCache.stats;
+    cachev.title = `${hits} hit${hits === 1 ? "" : "s"}, ${misses} miss${misses === 1 ? "" : "es"} this session`;
     try {
-      await audio.play();
+      const { bytes } = await morphCache.usage();
+      cachev.textContent = `${last} · ${(bytes / 1048576).toFixed(1)} MB`;
     } catch {
-      if (stat) stat.textContent = "Autoplay blocked; press Play.";
+      // The size read can fail (storage cleared under us); the event itself still shows
+      cachev.textContent = last;
     }
   }
-
-  // Precompute morph target from STL (fire-and-forget)
-  loadAndBakeSTLMorph("/spikeball.stl", viz).catch((e) => console.error(e));
+  morphCache.addEventListener("hit", () => showCache("hit"));
+  morphCache.addEventListener("miss", () => showCache("miss"));
+  morphCache.addEventListener("put", () => showCache("baked"));
+  document.getElementById("morph-cache-clear")?.addEventListener("click", async () => {
+    await morphCache.clear();
+    showCache("cleared");
+    if (stat) stat.textContent = "Shape cache cleared";
+  });
 
   // Drag rotation
   let dragging = false,
@@ -232,16 +219,7 @@ function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
       dy = e.clientY - lastY;
     lastX = e.clientX;
     lastY = e.clientY;
-    viz.angVelY = clamp(
-      viz.angVelY + dx * viz.dragSensitivity,
-      -viz.maxOmega,
-      viz.maxOmega
-    );
-    viz.angVelX = clamp(
-      viz.angVelX + dy * viz.dragSensitivity,
-      -viz.maxOmega,
-      viz.maxOmega
-    );
+    viz.nudgeSpin(dx, dy);
   });
   canvas.addEventListener("pointerup", (e) => {
     dragging = false;
@@ -253,153 +231,222 @@ function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
     "wheel",
     (e) => {
       e.preventDefault();
-      viz.pal.base.getHSL(viz.baseHSL);
-      viz.pal.glow.getHSL(viz.glowHSL);
-      let h = (viz.baseHSL.h + (e.deltaY > 0 ? -0.02 : 0.02) + 1) % 1;
-      viz.pal.base.setHSL(h, viz.baseHSL.s, viz.baseHSL.l);
-      h = (viz.glowHSL.h + (e.deltaY > 0 ? -0.02 : 0.02) + 1) % 1;
-      viz.pal.glow.setHSL(h, viz.glowHSL.s, viz.glowHSL.l);
-      const solid = /** @type {THREE.Mesh} */ (viz.mesh.children[0]);
-      const mat = /** @type {THREE.ShaderMaterial} */ (solid.material);
-      mat.uniforms.uBaseColor.value.copy(viz.pal.base);
-      mat.uniforms.uGlowColor.value.copy(viz.pal.glow);
-      applyBackground(viz.pal);
+      const dh = e.deltaY > 0 ? -0.02 : 0.02;
+      const hue = Config.get().theme.hue + dh;
+      Config.update({ theme: { hue: ((hue % 1) + 1) % 1 } });
     },
     { passive: false }
   );
 
-  // UI sliders
+  // UI sliders (two-way bound to Config; the Visualizer applies changes itself)
   /**
-   *
-   * @param {*} input
-   * @param {*} label
-   * @param {*} setter
+   * @param {HTMLInputElement} input
+   * @param {HTMLSpanElement} label
+   * @param {keyof Config} section
+   * @param {string} key
+   * @param {(v:number)=>number} [map] transform applied before the value is stored
    */
-  function hookRange(input, label, setter) {
+  function hookRange(input, label, section, key, map = (v) => v) {
     const places =
       input.step && input.step.includes(".")
         ? input.step.split(".")[1].length
         : 0;
     const fmt = (x) => Number(x).toFixed(places);
-    label.textContent = fmt(input.value);
+    const show = () => {
+      input.value = String(/** @type {any} */ (Config.read(section))[key]);
+      label.textContent = fmt(input.value);
+    };
     input.addEventListener("input", () => {
       label.textContent = fmt(input.value);
-      setter(Number(input.value));
+      Config.update({ [section]: { [key]: map(Number(input.value)) } });
+    });
+    Config.onChange(({ sections }) => {
+      if (sections.includes(section)) show();
     });
+    show();
   }
-  hookRange(rot, rotv, (v) => {
-    viz.rotationSpeed = v;
-    Config.update({ mesh: { ...Config.get().mesh, rotationSpeed: v } });
-  });
-  hookRange(dist, distv, (v) => {
-    viz.distortion = v;
-    Config.update({ mesh: { ...Config.get().mesh, distortion: v } });
-  });
-  hookRange(react, reactv, (v) => {
-    viz.reactivity = v;
-    Config.update({ mesh: { ...Config.get().mesh, reactivity: v } });
-  });
-  hookRange(res, resv, (v) => {
-    viz.subdiv = v | 0;
-    viz.mesh = viz.makeMesh(viz.subdiv);
-    viz.scene.add(viz.mesh);
-    Config.update({ mesh: { ...Config.get().mesh, subdiv: v | 0 } });
-  });
-  hookRange(bloom, bloomv, (v) => {
-    viz.bloomPass.strength = v;
-    Config.update({ bloom: { ...Config.get().bloom, strength: v } });
-  });
+  hookRange(rot, rotv, "mesh", "rotationSpeed");
+  hookRange(dist, distv, "mesh", "distortion");
+  hookRange(react, reactv, "mesh", "reactivity");
+  hookRange(res, resv, "mesh", "subdiv", (v) => v | 0);
+  hookRange(bloom, bloomv, "bloom", "strength");
 
-  // Palette select
-  paletteSel?.addEventListener("change", () => {
-    viz.pal = palette(paletteSel.value);
-    applyBackground(viz.pal);
-    const solid = /** @type {THREE.Mesh} */ (viz.mesh.children[0]);
-    const mat = /** @type {THREE.ShaderMaterial} */ (solid.material);
-    viz.pal.base.getHSL(viz.baseHSL);
-    viz.pal.glow.getHSL(viz.glowHSL);
-    mat.uniforms.uBaseColor.value.copy(viz.pal.base);
-    mat.uniforms.uGlowColor.value.copy(viz.pal.glow);
-    viz.rebuildStarfield();
+  // A new subdivision level means a new mesh, which needs its morph targets re-baked;
+  // so does a new shape list
+  let bakedSubdiv = viz.subdiv;
+  let bakedShapes = JSON.stringify(shapeList());
+  Config.onChange(({ sections }) => {
+    if (!sections.includes("mesh") && !sections.includes("shapes")) return;
+    const shapes = JSON.stringify(shapeList());
+    if (viz.subdiv === bakedSubdiv && shapes === bakedShapes) return;
+    bakedSubdiv = viz.subdiv;
+    bakedShapes = shapes;
+    bakeMorph();
   });
 
-  // Play UI
-  function setPlayingUI(on) {
-    const pb = document.getElementById("play");
-    if (pb) pb.textContent = on ? "⏸ Pause" : "▶︎ Play";
-    if (stat) stat.textContent = on ? "Playing" : "Paused";
-  }
-  function updateFooterFromAudio() {
-    setFooter(
-      nowPlaying,
-      explicitTitle,
-      audio.currentSrc || audio.src || chosen
-    );
+  // Shape vocabulary: what moves between shapes, and the crossfader over them
+  const shapeMode = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById("shape-mode")
+  );
+  const shapeX = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("shape-x")
+  );
+  const shapev = /** @type {HTMLSpanElement|null} */ (
+    document.getElementById("shapev")
+  );
+  const shapen = document.getElementById("shapen");
+  function showShapes() {
+    const list = shapeList();
+    if (shapeMode) shapeMode.value = Config.get().shapes.mode;
+    if (shapeX) shapeX.max = String(list.length - 1);
+    if (shapen) {
+      shapen.textContent = String(list.length);
+      shapen.title = list.join(", ");
+    }
   }
+  shapeMode?.addEventListener("change", () => {
+    Config.update({
+      shapes: { mode: /** @type {any} */ (shapeMode.value) },
+    });
+  });
+  Config.onChange(({ sections }) => {
+    if (sections.includes("shapes")) showShapes();
+  });
+  showShapes();
+  if (shapeX && shapev) hookRange(shapeX, shapev, "shapes", "position");
 
-  // File picker
-  fileInput?.addEventListener("change", async () => {
-    const f = fileInput.files && fileInput.files[0];
+  // Presets: export downloads JSON and puts a share link in the URL bar;
+  // import applies the file live and updates the link.
+  const presetFile = /** @type {HTMLInputElement|null} */ (
+    document.getElementById("preset-file")
+  );
+  document.getElementById("preset-export")?.addEventListener("click", () => {
+    const json = JSON.stringify(Config.serialize(), null, 2);
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const slug = location.pathname.split("/").filter(Boolean).pop();
+    a.download = `${slug || "soundscape"}-preset.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    history.replaceState(null, "", Config.toHash());
+    if (stat) stat.textContent = "Preset exported";
+    navigator.clipboard?.writeText(location.href).then(
+      () => {
+        if (stat) stat.textContent = "Preset exported; link copied";
+      },
+      () => {}
+    );
+  });
+  document
+    .getElementById("preset-import")
+    ?.addEventListener("click", () => presetFile?.click());
+  presetFile?.addEventListener("change", async () => {
+    const f = presetFile.files && presetFile.files[0];
+    if (!f) return;
     try {
-      audio.pause();
-    } catch {}
-    setPlayingUI(false);
-    if (actx && actx.state === "running") {
-      try {
-        await actx.suspend();
-      } catch {}
-    }
-    if (!f) {
-      const back = ensureDefaultTrack(audio, stat);
-      updateFooterFromAudio();
+      Config.deserialize(JSON.parse(await f.text()));
+    } catch (e) {
+      if (stat)
+        stat.textContent = `Import failed: ${e instanceof Error ? e.message : e}`;
       return;
+    } finally {
+      presetFile.value = "";
     }
-    const url = URL.createObjectURL(f);
-    audio.src = url;
-    if (stat) stat.textContent = `Loaded ${f.name}`;
-    updateFooterFromAudio();
+    history.replaceState(null, "", Config.toHash());
+    if (stat) stat.textContent = "Preset loaded";
   });
 
-  // Audio events
-  audio.addEventListener("play", () => {
-    setPlayingUI(true);
-    updateFooterFromAudio();
-  });
-  audio.addEventListener("pause", () => setPlayingUI(false));
-  audio.addEventListener("ended", () => setPlayingUI(false));
-  audio.addEventListener("loadedmetadata", updateFooterFromAudio);
-  audio.addEventListener("error", () => {
-    if (stat)
-      stat.textContent = "Audio error: check file or default track path.";
+  // Player: queue, transport, live input and drops. Each new track resets the beat tracker
+  // and is analyzed, and the seek bar follows the element it plays on (gapless playback
+  // alternates two); a model file dropped on the stage becomes the custom shape.
+  const player = installPlayerControls(audio, graph, {
+    stage: canvas,
+    onLoad: (entry, el) => {
+      if (seek) seek.audio = el;
+      viz.beat.reset();
+      analyzeCurrent();
+    },
+    onDrop: (files) => {
+      const model = files.find((f) => isShapeFile(f.name));
+      if (!model) return false;
+      setCustomShape(model);
+      if (stat) stat.textContent = `Shape: ${model.name}`;
+      return true;
+    },
   });
+  const { queue, live } = player;
 
-  // Play button
-  document.getElementById("play")?.addEventListener("click", async () => {
-    ensureDefaultTrack(audio, stat);
-    if (audio.paused || audio.ended) {
-      if (!actx) await ensureAudioGraph();
-      if (actx.state === "suspended") {
-        try {
-          await actx.resume();
-        } catch {}
-      }
-      audio.muted = false;
-      if (typeof startVolume === "number") audio.volume = startVolume;
-      else audio.volume = 1;
-      try {
-        await audio.play();
-      } catch {
-        if (stat) stat.textContent = "Tap the audio control";
-      }
-    } else {
-      audio.pause();
-      if (actx && actx.state === "running") {
-        try {
-          await actx.suspend();
-        } catch {}
-      }
+  // Seek bar and whole-track pre-analysis (Look-ahead)
+  const seekCanvas = /** @type {HTMLCanvasElement|null} */ (document.getElementById("seek"));
+  const seek = seekCanvas ? new SeekBar(seekCanvas, audio) : null;
+  viz.setTrackClock(() => (live.active ? NaN : player.audio.currentTime));
+  const lookBtn = document.getElementById("lookahead");
+  const lookv = document.getElementById("lookv");
+  /** @type {AbortController|null} */
+  let analyzing = null;
+  async function analyzeCurrent() {
+    analyzing?.abort();
+    analyzing = null;
+    viz.setAnalysis(null);
+    seek?.setAnalysis(null);
+    const entry = queue.current;
+    if (!Config.read("lookahead").enabled || !entry) {
+      if (lookv) lookv.textContent = "\u00a0";
+      return;
+    }
+    const ctl = (analyzing = new AbortController());
+    if (lookv) lookv.textContent = "0%";
+    try {
+      const a = await analyzeTrack(entry.url, {
+        signal: ctl.signal,
+        onProgress: (p) => {
+          if (lookv && ctl === analyzing) lookv.textContent = `${Math.round(p * 100)}%`;
+        },
+      });
+      if (ctl !== analyzing) return;
+      viz.setAnalysis(a);
+      seek?.setAnalysis(a);
+      const drops = a.sections.filter((x) => x.kind === "drop").length;
+      if (lookv) lookv.textContent = `${drops} drop${drops === 1 ? "" : "s"}`;
+    } catch (e) {
+      if (ctl !== analyzing) return;
+      console.error(e);
+      if (lookv) lookv.textContent = "failed";
+    } finally {
+      if (ctl === analyzing) analyzing = null;
     }
+  }
+  function updateLookaheadUI() {
+    const on = Config.read("lookahead").enabled;
+    if (!lookBtn) return;
+    lookBtn.dataset.on = String(on);
+    lookBtn.textContent = on ? "On" : "Off";
+  }
+  lookBtn?.addEventListener("click", () => {
+    Config.update({ lookahead: { enabled: !Config.read("lookahead").enabled } });
+  });
+  let lookEnabled = Config.read("lookahead").enabled;
+  Config.onChange(({ sections }) => {
+    if (!sections.includes("lookahead")) return;
+    updateLookaheadUI();
+    if (Config.read("lookahead").enabled === lookEnabled) return;
+    lookEnabled = Config.read("lookahead").enabled;
+    analyzeCurrent();
   });
+  updateLookaheadUI();
+  analyzeCurrent();
+
+  // Tweak panel: ?debug or the ` key
+  installDevPanel();
+
+  // Modulation routes (Config.modulation), saved with presets
+  const modHost = document.getElementById("mod-matrix");
+  // (a worker reports its uniform targets once it is up)
+  if (modHost) {
+    if (viz instanceof RemoteVisualizer)
+      viz.ready.then(() => installModulationEditor(modHost, viz), () => {});
+    else installModulationEditor(modHost, viz);
+  }
 
   // Gyro
   async function toggleGyro() {
@@ -440,9 +487,113 @@ function setFooter(nowPlayingEl, explicitTitle, srcUrl) {
   }
   document.getElementById("gyro")?.addEventListener("click", toggleGyro);
 
+  // Offline video export; the live loop idles while it owns the Visualizer
+  /** @type {AbortController|null} */
+  let rendering = null;
+  const STAGE_TEXT = {
+    decode: "Decoding audio…",
+    analyze: "Analyzing audio…",
+    render: "Rendering video… (Esc cancels)",
+    finalize: "Encoding audio…",
+  };
+  const renderBtn = document.getElementById("render");
+  if (renderBtn && viz instanceof RemoteVisualizer) {
+    renderBtn.setAttribute("disabled", "");
+    renderBtn.title = "Video export renders on the main thread; reload without worker mode";
+  }
+  renderBtn?.addEventListener("click", async () => {
+    if (rendering || !(viz instanceof Visualizer)) return;
+    const src = player.audio.currentSrc || player.audio.src;
+    if (!src) {
+      if (stat) stat.textContent = "No audio to render";
+      return;
+    }
+    player.audio.pause();
+    const ctl = (rendering = new AbortController());
+    const onKey = (e) => {
+      if (e.key === "Escape") ctl.abort();
+    };
+    document.addEventListener("keydown", onKey);
+    let stage = "";
+    showOverlay("Preparing video export…");
+    try {
+      const bytes = await (await fetch(src)).arrayBuffer();
+      const blob = await renderVideo(viz, bytes, {
+        signal: ctl.signal,
+        onProgress: (s, pct) => {
+          if (s !== stage) showOverlay(STAGE_TEXT[(stage = s)]);
+          updateOverlay(pct);
+        },
+      });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `${queue.current?.title || filenameLabel(src)}.webm`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+      if (stat) stat.textContent = "Video exported";
+    } catch (e) {
+      const cancelled = e instanceof DOMException && e.name === "AbortError";
+      if (!cancelled) console.error(e);
+      if (stat)
+        stat.textContent = cancelled
+          ? "Render cancelled"
+          : `Render failed: ${e instanceof Error ? e.message : e}`;
+    } finally {
+      document.removeEventListener("keydown", onKey);
+      hideOverlay();
+      rendering = null;
+    }
+  });
+
+  // Live clip recording
+  const recBtn = document.getElementById("record");
+  const recv = document.getElementById("recv");
+  /** @type {ClipRecorder|null} */
+  let clip = null;
+  /** @type {number|undefined} */
+  let recTimer;
+  if (recBtn && !ClipRecorder.isSupported()) {
+    recBtn.setAttribute("disabled", "");
+    if (recv) recv.textContent = "n/a";
+  }
+  recBtn?.addEventListener("click", async () => {
+    if (rendering || !recordDest) return;
+    if (clip?.recording) {
+      clearInterval(recTimer);
+      const blob = await clip.stop();
+      recBtn.dataset.on = "false";
+      recBtn.textContent = "● Rec";
+      if (recv) recv.textContent = "0:00";
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+      a.download = `${queue.current?.title || "soundscape"} ${stamp}.${clipExtension(blob.type)}`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+      if (stat) stat.textContent = "Clip saved";
+      return;
+    }
+    clip ??= new ClipRecorder(canvas, recordDest.stream);
+    try {
+      clip.start();
+    } catch (e) {
+      console.error(e);
+      if (stat) stat.textContent = "Recording failed";
+      return;
+    }
+    recBtn.dataset.on = "true";
+    recBtn.textContent = "■ Stop";
+    recTimer = window.setInterval(() => {
+      const s = Math.floor(clip?.elapsed ?? 0);
+      if (recv)
+        recv.textContent = `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+    }, 250);
+  });
+
   // Render loop
   function loop(t) {
-    viz.frame(t);
+    if (!rendering) viz.frame(t);
+    seek?.draw();
     requestAnimationFrame(loop);
   }
   requestAnimationFrame(loop);
@@ -0,0 +1,33 @@
+/**
+ * routes/api.js
+ * JSON API for the track catalog.
+ */
+const createError = require("http-errors");
+const express = require("express");
+const { tracks, getTrack } = require("../catalog");
+
+const router = express.Router();
+
+/** GET /api/tracks */
+router.get("/tracks", (req, res) => {
+  res.json(tracks);
+});
+
+/** GET /api/tracks/:slug */
+router.get("/tracks/:slug", (req, res, next) => {
+  const track = getTrack(req.params.slug);
+  if (!track) return next(createError(404, `Unknown track: ${req.params.slug}`));
+  res.json(track);
+});
+
+/** Unknown API paths are 404s, not HTML pages */
+router.use((req, res, next) => {
+  next(createError(404));
+});
+
+/** API errors are JSON */
+router.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+module.exports = router;
@@ -0,0 +1,9 @@
+var express = require('express');
+var router = express.Router();
+
+/* GET noise ball. */
+router.get('/', function(req, res, next) {
+  res.render('ball', { title: 'Ball' });
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+/**
+ * routes/tracks.js
+ * Renders every catalog track page using views/track.pug
+ */
+const express = require("express");
+const { tracks } = require("../catalog");
+
+const router = express.Router();
+
+/** GET /:slug for each entry in catalog/tracks.json */
+for (const track of tracks) {
+  router.get(`/${track.slug}`, (req, res) => {
+    res.render("track", { title: track.pageTitle, track });
+  });
+}
+
+module.exports = router;
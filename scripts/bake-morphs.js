@@ -0,0 +1,98 @@
+/**
+ * Prebakes morph targets into dist/morphs/ so visitors skip the in-browser bake:
+ * - one file per (catalog STL, subdivision) pair, named by prebakedName() in MorphBVH.js
+ * - STLs: each track's `config.shapes.list` entries (procedural shapes need no bake), or its
+ *   `stl` when the list is empty
+ * - subdivisions: the Config default plus any catalog `config.mesh.subdiv` override
+ *
+ * Morph.js fetches /morphs/<name> first and only bakes (and caches) when it is missing,
+ * e.g. on the dev server or for a subdivision picked at runtime.
+ *
+ * The bake and the file format come from the browser modules themselves (MorphBVH.js,
+ * Shapes.js, Config.js), loaded by source since public/ is not a Node package.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { pathToFileURL } = require("url");
+const { tracks } = require("../catalog");
+
+const SOUNDSCAPE3 = path.join("public", "javascripts", "Soundscape3");
+const OUT_DIR = path.join("dist", "morphs");
+
+async function ensureDir(p) { await fs.mkdir(p, { recursive: true }); }
+
+/**
+ * Import a browser ES module from public/, rewriting its bare imports to real file URLs.
+ * @param {string} file
+ * @param {Record<string, string>} [imports] bare specifier -> absolute path
+ */
+async function importBrowserModule(file, imports = {}) {
+  let src = await fs.readFile(file, "utf8");
+  for (const [name, target] of Object.entries(imports)) {
+    src = src.replaceAll(`from "${name}"`, `from "${pathToFileURL(path.resolve(target)).href}"`);
+  }
+  return import(`data:text/javascript;charset=utf-8,${encodeURIComponent(src)}`);
+}
+
+/** Mirrors normalizeGeometry() in Morph.js (centered, unit bounding sphere). */
+function normalizeGeometry(THREE, g) {
+  const geom = g.index ? g.toNonIndexed() : g;
+  geom.computeBoundingBox();
+  const c = geom.boundingBox.getCenter(new THREE.Vector3()).negate();
+  geom.translate(c.x, c.y, c.z);
+  geom.computeBoundingSphere();
+  const r = geom.boundingSphere?.radius || 1;
+  if (r > 0) geom.scale(1 / r, 1 / r, 1 / r);
+  return geom;
+}
+
+/** @returns {Map<string, Set<number>>} STL URL -> subdivisions to bake */
+function bakeList(defaultSubdiv, Shapes) {
+  const list = new Map();
+  for (const track of tracks) {
+    const subdiv = Number(track.config.mesh?.subdiv ?? defaultSubdiv) | 0;
+    const shapes = Array.isArray(track.config.shapes?.list) ? track.config.shapes.list : [];
+    for (const stl of Shapes.resolveShapeList(shapes, track.stl)) {
+      if (Shapes.isProceduralShape(stl)) continue;
+      if (!list.has(stl)) list.set(stl, new Set([defaultSubdiv]));
+      list.get(stl).add(subdiv);
+    }
+  }
+  return list;
+}
+
+(async () => {
+  const threePath = require.resolve("three").replace(/three\.cjs$/, "three.module.js");
+  const THREE = await import(pathToFileURL(threePath).href);
+  const { STLLoader } = await import("three/examples/jsm/loaders/STLLoader.js");
+  const { Config } = await importBrowserModule(path.join(SOUNDSCAPE3, "Config.js"), { three: threePath });
+  const { TriangleBVH, bakeRadial, packRadial, prebakedName } = await importBrowserModule(path.join(SOUNDSCAPE3, "MorphBVH.js"));
+  const Shapes = await importBrowserModule(path.join(SOUNDSCAPE3, "Shapes.js"));
+
+  await ensureDir(OUT_DIR);
+  let wrote = 0;
+  for (const [url, subdivs] of bakeList(Config.get().mesh.subdiv, Shapes)) {
+    if (!url.startsWith("/")) {
+      process.stdout.write(`Morph skipped (not a local file): ${url}\n`);
+      continue;
+    }
+    const bytes = await fs.readFile(path.join("public", url));
+    const hash = crypto.createHash("sha256").update(bytes).digest("hex");
+    const stl = normalizeGeometry(THREE, new STLLoader().parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)));
+    const bvh = new TriangleBVH(stl.attributes.position.array);
+    for (const subdiv of subdivs) {
+      const base = new THREE.IcosahedronGeometry(1, subdiv);
+      const t0 = Date.now();
+      const target = bakeRadial(bvh, base.attributes.position.array);
+      const name = prebakedName(hash, subdiv);
+      await fs.writeFile(path.join(OUT_DIR, name), Buffer.from(packRadial(target)));
+      process.stdout.write(`Morph baked: ${url} s${subdiv} -> morphs/${name} (${Date.now() - t0} ms)\n`);
+      base.dispose();
+      wrote++;
+    }
+    stl.dispose();
+  }
+  process.stdout.write(`Morphs: ${wrote} prebaked\n`);
+})().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,41 @@
+/**
+ * Renders catalog track pages and the static track API into dist/:
+ * - views/track.pug per entry -> dist/<slug>/index.html
+ * - dist/api/tracks/index.json  (all tracks)
+ * - dist/api/tracks/<slug>.json (one track)
+ *
+ * fix-routes.js adds the _redirects rewrites that serve the JSON files at
+ * /api/tracks and /api/tracks/:slug, matching the Express dev server.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const pug = require("pug");
+const { tracks } = require("../catalog");
+
+async function ensureDir(p) { await fs.mkdir(p, { recursive: true }); }
+
+async function renderTrackPages() {
+  const template = pug.compileFile(path.join("views", "track.pug"), { pretty: true });
+  for (const track of tracks) {
+    const dstDir = path.join("dist", track.slug);
+    await ensureDir(dstDir);
+    await fs.writeFile(path.join(dstDir, "index.html"), template({ title: track.pageTitle, track }), "utf8");
+    process.stdout.write(`Track page: ${track.slug}/index.html\n`);
+  }
+}
+
+async function writeTrackApi() {
+  const apiDir = path.join("dist", "api", "tracks");
+  await ensureDir(apiDir);
+  await fs.writeFile(path.join(apiDir, "index.json"), JSON.stringify(tracks), "utf8");
+  for (const track of tracks) {
+    await fs.writeFile(path.join(apiDir, `${track.slug}.json`), JSON.stringify(track), "utf8");
+  }
+  process.stdout.write(`Track API: ${tracks.length} tracks\n`);
+}
+
+(async () => {
+  await renderTrackPages();
+  await writeTrackApi();
+})().catch((e) => { console.error(e); process.exit(1); });
@@ -2,11 +2,14 @@
  * Normalizes routes in dist/ and wires BecauseWhyNot:
  * - dist/soundscape.html     -> dist/soundscape/index.html
  * - dist/victory.html        -> dist/victory/index.html
- * - dist/singularity.html    -> dist/singularity/index.html
+ * - dist/ball.html           -> dist/ball/index.html
  * - dist/index.html          -> dist/becausewhynot/index.html (alias)
  *
- * - adds _redirects rule:
+ * Track pages are rendered straight into dist/<slug>/ by build-tracks.js.
+ *
+ * - adds _redirects rules:
  *             /BecauseWhyNot -> /becausewhynot (301)
+ *             /api/tracks[/:slug] -> /api/tracks/*.json (200 rewrite)
  */
 
 const fs = require("fs").promises;
@@ -40,7 +43,9 @@ async function aliasIndexToBecauseWhyNot() {
 async function addRedirects() {
   const redirectsPath = path.join("dist", "_redirects");
   const lines = [
-    "/BecauseWhyNot   /becausewhynot   301"
+    "/BecauseWhyNot   /becausewhynot   301",
+    "/api/tracks   /api/tracks/index.json   200",
+    "/api/tracks/:slug   /api/tracks/:slug.json   200"
   ];
   let existing = (await exists(redirectsPath)) ? await fs.readFile(redirectsPath, "utf8") : "";
   let wrote = false;
@@ -53,11 +58,7 @@ async function addRedirects() {
 (async () => {
   await moveIntoRoute("soundscape.html", "soundscape");
   await moveIntoRoute("victory.html", "victory");
-  await moveIntoRoute("singularity.html", "singularity");
-  await moveIntoRoute("gravytrain.html", "gravytrain");
-  await moveIntoRoute("goodluck.html", "goodluck");
-  await moveIntoRoute("whiplash.html", "whiplash");
-  await moveIntoRoute("cotl.html", "cotl");
+  await moveIntoRoute("ball.html", "ball");
   await aliasIndexToBecauseWhyNot();
   await addRedirects();
 })().catch((e) => { console.error(e); process.exit(1); });